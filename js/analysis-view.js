@@ -0,0 +1,201 @@
+/**
+ * Vocabulary Check Panel - Coverage, estimated level and unknown words of the input text
+ */
+
+const AnalysisView = (function() {
+    const STATUS_LABELS = {
+        notebook: 'In your notebook',
+        dictionary: 'In the dictionary',
+        unknown: 'Unknown'
+    };
+
+    let panel = null;
+    let onShowWord = null;
+    let onNotebookChange = null;
+    let onQueueChange = null;
+
+    // Text of the analysis on show, re-analysed after adding words
+    let currentText = '';
+
+    /**
+     * Initialize the panel
+     * @param {Object} options
+     * @param {Function} options.onShowWord - (word) => void, opens a word's card
+     * @param {Function} options.onNotebookChange - () => void, after words are saved
+     * @param {Function} options.onQueueChange - () => void, after words are queued for entries
+     */
+    function init(options) {
+        onShowWord = options.onShowWord;
+        onNotebookChange = options.onNotebookChange;
+        onQueueChange = options.onQueueChange;
+        panel = document.getElementById('analysisPanel');
+        panel.addEventListener('click', handlePanelClick);
+    }
+
+    /**
+     * Analyse a text and show the results
+     * @param {string} text
+     * @param {string} [message] - Shown above the unknown words
+     */
+    async function show(text, message = '') {
+        currentText = text;
+        const words = Sentences.tokenize(text)
+            .filter(token => token.type === 'word')
+            .map(token => token.text);
+        await Dictionary.preload(words);
+        // Another text was analysed (or the panel closed) while the shards loaded
+        if (currentText !== text) return;
+
+        const result = Vocabulary.analyse(text, {
+            lookup: Dictionary.lookup,
+            isSaved: Notebook.has
+        });
+        panel.replaceChildren(...render(result, message));
+        panel.hidden = false;
+    }
+
+    /**
+     * Close the panel
+     */
+    function hide() {
+        currentText = '';
+        panel.hidden = true;
+        panel.replaceChildren();
+    }
+
+    /**
+     * Build the panel content
+     * @returns {Array<HTMLElement>}
+     */
+    function render(result, message) {
+        const { el } = Dom;
+        const header = el('div', { className: 'analysis-header' },
+            el('h3', {}, 'Vocabulary check'),
+            el('button', { type: 'button', className: 'analysis-close', title: 'Close', dataset: { action: 'close' } }, '×')
+        );
+
+        if (result.total === 0) {
+            return [header, el('p', { className: 'hint' }, 'No words to check.')];
+        }
+
+        const { counts, total } = result;
+        const segment = status => {
+            const part = el('span', { className: `coverage-${status}`, title: `${STATUS_LABELS[status]}: ${counts[status]}` });
+            part.style.width = `${(counts[status] / total) * 100}%`;
+            return part;
+        };
+        const skipped = result.tokens.filter(token => token.status === 'name' || token.status === 'number').length;
+
+        return [
+            header,
+            el('p', { className: 'analysis-summary' },
+                el('span', { className: 'analysis-level' }, result.level),
+                ` ${result.coverage}% of ${total} words are in your notebook or the dictionary`
+            ),
+            el('div', { className: 'coverage-bar' }, segment('notebook'), segment('dictionary'), segment('unknown')),
+            el('div', { className: 'analysis-legend' },
+                ['notebook', 'dictionary', 'unknown'].map(status =>
+                    el('span', { className: `legend-${status}` }, `${STATUS_LABELS[status]} ${counts[status]}`)
+                ),
+                skipped > 0 ? el('span', { className: 'hint' }, `${skipped} names and numbers skipped`) : null
+            ),
+            el('p', { className: 'analysis-levels hint' },
+                'Words covered up to ',
+                result.levelShares.map(({ level, share }) => `${level} ${share}%`).join(' · ')
+            ),
+            renderText(result.tokens),
+            renderUnknown(result.unknown, message)
+        ];
+    }
+
+    /**
+     * The text with every word marked by status
+     */
+    function renderText(tokens) {
+        const { el } = Dom;
+        return el('div', { className: 'analysis-text' }, tokens.map(token => {
+            if (token.type !== 'word') return token.type === 'space' ? ' ' : token.text;
+            return el('span', {
+                className: `vocab-word vocab-${token.status}`,
+                title: `${token.key} · ${token.level || 'beyond C1'}`,
+                dataset: { word: token.key }
+            }, token.text);
+        }));
+    }
+
+    /**
+     * Unknown words with checkboxes and the batch actions
+     */
+    function renderUnknown(unknown, message) {
+        const { el } = Dom;
+        if (unknown.length === 0) {
+            return el('p', { className: 'hint' }, message || 'Every word is in your notebook or the dictionary.');
+        }
+
+        const queued = Vocabulary.getQueue();
+        return el('div', { className: 'analysis-unknown' },
+            el('h4', {}, `Unknown words (${unknown.length})`),
+            message ? el('p', { className: 'analysis-message' }, message) : null,
+            el('ul', { className: 'unknown-list' }, unknown.map(({ word, count, level, start }) =>
+                el('li', {},
+                    el('label', {},
+                        el('input', { type: 'checkbox', checked: true, dataset: { word, start } }),
+                        el('button', { type: 'button', className: 'unknown-word', dataset: { word } }, word)
+                    ),
+                    el('span', { className: 'hint' },
+                        ` ${level || 'beyond C1'}${count > 1 ? ` · ×${count}` : ''}${queued.includes(word) ? ' · queued' : ''}`)
+                )
+            )),
+            el('div', { className: 'analysis-actions' },
+                el('button', { type: 'button', className: 'btn btn-small btn-primary', dataset: { action: 'notebook' } }, 'Add to notebook'),
+                el('button', { type: 'button', className: 'btn btn-small btn-outline', dataset: { action: 'queue' } }, 'Queue for dictionary')
+            )
+        );
+    }
+
+    /**
+     * Word clicks, closing and the batch actions
+     */
+    function handlePanelClick(event) {
+        const word = event.target.closest('.vocab-word, .unknown-word');
+        if (word) {
+            event.preventDefault();
+            onShowWord(word.dataset.word);
+            return;
+        }
+
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'close') {
+            hide();
+            return;
+        }
+
+        const checked = [...panel.querySelectorAll('.unknown-list input:checked')];
+        if (checked.length === 0) return;
+        const plural = checked.length === 1 ? '' : 's';
+
+        if (button.dataset.action === 'notebook') {
+            const sentences = Sentences.split(currentText);
+            checked.forEach(input => {
+                const start = Number(input.dataset.start);
+                const sentence = sentences.find(s => start >= s.start && start < s.end);
+                Notebook.add(input.dataset.word, sentence ? sentence.text : '');
+            });
+            onNotebookChange();
+            show(currentText, `Added ${checked.length} word${plural} to the notebook.`);
+        } else if (button.dataset.action === 'queue') {
+            const added = Vocabulary.queue(checked.map(input => input.dataset.word));
+            onQueueChange();
+            show(currentText, `Queued ${added} word${added === 1 ? '' : 's'} for dictionary entries.`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        hide
+    };
+})();
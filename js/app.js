@@ -5,24 +5,99 @@
 (function() {
     // DOM Elements
     const textInput = document.getElementById('textInput');
+    const btnImportSubtitles = document.getElementById('btnImportSubtitles');
+    const subtitleFileInput = document.getElementById('subtitleFileInput');
+    const cueList = document.getElementById('cueList');
+    const btnAnalyze = document.getElementById('btnAnalyze');
     const btnPlay = document.getElementById('btnPlay');
     const btnSlow = document.getElementById('btnSlow');
     const btnShadowing = document.getElementById('btnShadowing');
+    const btnChunks = document.getElementById('btnChunks');
+    const btnDictation = document.getElementById('btnDictation');
+    const btnCloze = document.getElementById('btnCloze');
+    const clozeSource = document.getElementById('clozeSource');
     const btnStop = document.getElementById('btnStop');
+    const btnPause = document.getElementById('btnPause');
     const shadowingDisplay = document.getElementById('shadowingDisplay');
     const breakdownDisplay = document.getElementById('breakdownDisplay');
     const statusText = document.getElementById('statusText');
+    const progressText = document.getElementById('progressText');
+    const sentenceControls = document.getElementById('sentenceControls');
+    const btnPrevSentence = document.getElementById('btnPrevSentence');
+    const btnRepeatSentence = document.getElementById('btnRepeatSentence');
+    const btnNextSentence = document.getElementById('btnNextSentence');
+    const drillPanel = document.getElementById('drillPanel');
+    const dictationInput = document.getElementById('dictationInput');
+    const btnDrillReplay = document.getElementById('btnDrillReplay');
+    const btnDrillSlow = document.getElementById('btnDrillSlow');
+    const btnDrillCheck = document.getElementById('btnDrillCheck');
+    const btnDrillNext = document.getElementById('btnDrillNext');
+    const drillMistakes = document.getElementById('drillMistakes');
+    const presetButtons = document.getElementById('presetButtons');
+    const btnNewRecipe = document.getElementById('btnNewRecipe');
+    const recipeForm = document.getElementById('recipeForm');
+    const btnCancelRecipe = document.getElementById('btnCancelRecipe');
+    const recordToggle = document.getElementById('recordToggle');
+    const recorderStatus = document.getElementById('recorderStatus');
+    const takesPanel = document.getElementById('takesPanel');
+    const recognizerSelect = document.getElementById('recognizerSelect');
+    const typedTranscript = document.getElementById('typedTranscript');
+    const btnScore = document.getElementById('btnScore');
+    const scoreResult = document.getElementById('scoreResult');
+    const dataWarning = document.getElementById('dataWarning');
+    const updateNotice = document.getElementById('updateNotice');
+    const editsSummary = document.getElementById('editsSummary');
+    const btnExportEdits = document.getElementById('btnExportEdits');
+    const btnImportCsv = document.getElementById('btnImportCsv');
+    const btnExportCsv = document.getElementById('btnExportCsv');
+    const csvFileInput = document.getElementById('csvFileInput');
+    const entryQueue = document.getElementById('entryQueue');
+
+    // Longest phrase looked for in the text
+    const MAX_PHRASE_WORDS = 6;
 
     // State
     let currentText = '';
-    let words = [];
+    let tokens = [];
     let wordElements = [];
+    let wordOffsets = [];
+    let wordWeights = [];
+    let wordGaps = [];
     let currentWordIndex = -1;
     let isShadowingMode = false;
     let selectedWord = null;
     let highlightTimer = null;
     let boundaryFired = false;
-    let isSingleWordMode = false;
+    let highlightRate = 1.0;
+    let speechStartedAt = 0;
+    let isPlaying = false;
+    let statusBeforePause = null;
+    let highlightPaused = false;
+
+    // Shadowing state
+    let sentences = [];
+
+    // Sentences from an imported subtitle file, used while the input still holds its text:
+    // { text, sentences: [{ text, start, end, startTime, endTime }] }
+    let material = null;
+    let sentenceIndex = -1;
+    let activeRecipe = null;
+    let shadowingPlan = [];
+
+    // Listen-and-repeat in chunks: sentences play chunk by chunk instead of by recipe;
+    // chunkBoundaries are the word indexes starting a chunk of the displayed sentence
+    let chunkMode = false;
+    let chunkBoundaries = [];
+
+    // Dictation / cloze drill over `sentences`, null when not drilling:
+    // { type: 'dictation' | 'cloze', blanks, inputs, checked, results: ops per checked sentence }
+    let drill = null;
+
+    // Library lesson or passage being practised (its id), if the text is one
+    let libraryId = null;
+
+    // Recording / A-B comparison state
+    let currentAudio = null;
 
     /**
      * Initialize the application
@@ -33,11 +108,31 @@
         // Initialize TTS
         await TTS.init();
 
-        // Load dictionary
+        // Load dictionary and affix tables
         await Dictionary.load();
+        await Morphology.load();
+        await Library.load();
+        await Vocabulary.load();
+        showDataWarning();
 
         // Setup event listeners
         setupEventListeners();
+        renderPresets();
+        VoiceSettings.init({ onCompare: compareVoices });
+        NotebookView.init();
+        ProgressView.init({ onShowWord: showDictionaryWord, onDownload: downloadFile });
+        LibraryView.init({
+            getText: getCurrentText,
+            onOpen: openLibraryItem,
+            onSave: item => updateStatus(`Saved "${item.title}" to the library`)
+        });
+        AnalysisView.init({
+            onShowWord: showSearchResult,
+            onNotebookChange: () => NotebookView.refresh(),
+            onQueueChange: renderEntryQueue
+        });
+        SearchBox.init({ onSelect: showSearchResult });
+        Offline.init({ onDictionaryUpdate: () => { updateNotice.hidden = false; } });
 
         updateStatus('Ready');
         console.log('App initialized');
@@ -47,18 +142,245 @@
      * Setup all event listeners
      */
     function setupEventListeners() {
+        // Subtitle import (file or pasted SRT / VTT text)
+        btnImportSubtitles.addEventListener('click', () => subtitleFileInput.click());
+        subtitleFileInput.addEventListener('change', handleSubtitleFile);
+        textInput.addEventListener('paste', handleTextPaste);
+        textInput.addEventListener('input', () => {
+            if (material && getCurrentText() !== material.text) {
+                clearMaterial();
+            }
+            AnalysisView.hide();
+        });
+        cueList.addEventListener('click', handleCueClick);
+        btnAnalyze.addEventListener('click', handleAnalyze);
+
+        // New dictionary version cached by the service worker
+        document.getElementById('btnReloadDictionary').addEventListener('click', () => location.reload());
+        document.getElementById('btnDismissUpdate').addEventListener('click', () => {
+            updateNotice.hidden = true;
+        });
+
         btnPlay.addEventListener('click', handlePlay);
         btnSlow.addEventListener('click', handleSlow);
         btnShadowing.addEventListener('click', handleShadowing);
+        btnChunks.addEventListener('click', handleChunks);
         btnStop.addEventListener('click', handleStop);
+        btnPause.addEventListener('click', handlePauseToggle);
+
+        // Sentence navigation during shadowing
+        btnPrevSentence.addEventListener('click', () => playSentence(sentenceIndex - 1));
+        btnRepeatSentence.addEventListener('click', () => playSentence(sentenceIndex));
+        btnNextSentence.addEventListener('click', () => playSentence(sentenceIndex + 1));
+
+        // Dictation and cloze drills
+        btnDictation.addEventListener('click', () => startDrill('dictation'));
+        btnCloze.addEventListener('click', () => startDrill('cloze'));
+        btnDrillReplay.addEventListener('click', () => playDrillSentence(TTS.getSettings().rate));
+        btnDrillSlow.addEventListener('click', () => playDrillSentence(TTS.getSettings().slowRate));
+        btnDrillCheck.addEventListener('click', handleDrillCheck);
+        btnDrillNext.addEventListener('click', () => showDrillSentence(sentenceIndex + 1));
+        drillMistakes.addEventListener('click', handleMistakeClick);
+        dictationInput.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter' || event.shiftKey || !drill) return;
+            event.preventDefault();
+            if (drill.checked) {
+                showDrillSentence(sentenceIndex + 1);
+            } else {
+                handleDrillCheck();
+            }
+        });
+
+        // Recipe presets
+        presetButtons.addEventListener('click', handlePresetClick);
+        btnNewRecipe.addEventListener('click', () => {
+            recipeForm.hidden = !recipeForm.hidden;
+        });
+        btnCancelRecipe.addEventListener('click', () => {
+            recipeForm.hidden = true;
+        });
+        recipeForm.addEventListener('submit', handleRecipeSubmit);
+
+        // Voice recording
+        recordToggle.addEventListener('change', handleRecordToggle);
+        takesPanel.addEventListener('click', handleTakesClick);
+        if (!Recorder.isSupported()) {
+            recordToggle.disabled = true;
+            recorderStatus.textContent = 'Recording is not supported in this browser';
+        }
+
+        // Attempt scoring
+        Recognizer.list().forEach(({ name, label }) => {
+            recognizerSelect.appendChild(new Option(label, name));
+        });
+        recognizerSelect.value = Recognizer.get('speech').isAvailable() ? 'speech' : 'typed';
+        recognizerSelect.addEventListener('change', updateScoreInputs);
+        btnScore.addEventListener('click', handleScore);
+        typedTranscript.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') handleScore();
+        });
+        updateScoreInputs();
 
         // Word click in breakdown display
         breakdownDisplay.addEventListener('click', handleBreakdownClick);
 
-        // TTS callbacks
-        TTS.setOnBoundary(handleWordBoundary);
-        TTS.setOnEnd(handleSpeechEnd);
-        TTS.setOnStart(handleSpeechStart);
+        // Local dictionary edits
+        btnExportEdits.addEventListener('click', handleExportEdits);
+        btnImportCsv.addEventListener('click', () => csvFileInput.click());
+        csvFileInput.addEventListener('change', handleImportCsv);
+        btnExportCsv.addEventListener('click', handleExportCsv);
+        entryQueue.addEventListener('click', handleEntryQueueClick);
+        updateEditsSummary();
+
+        // TTS events
+        TTS.on('start', handleSpeechStart);
+        TTS.on('boundary', handleWordBoundary);
+        TTS.on('end', handleSpeechEnd);
+        TTS.on('error', handleSpeechError);
+        TTS.on('pause', handleSpeechPause);
+        TTS.on('resume', handleSpeechResume);
+        TTS.on('cancel', handleSpeechCancel);
+    }
+
+    /**
+     * Load the subtitle file picked in the file input
+     */
+    async function handleSubtitleFile() {
+        const file = subtitleFileInput.files[0];
+        subtitleFileInput.value = '';
+        if (file) {
+            loadSubtitles(file.name, await file.text());
+        }
+    }
+
+    /**
+     * Turn pasted SRT / VTT text into sentences instead of inserting it raw
+     */
+    function handleTextPaste(event) {
+        const pasted = event.clipboardData ? event.clipboardData.getData('text') : '';
+        if (Subtitles.isSubtitle(pasted)) {
+            event.preventDefault();
+            loadSubtitles('pasted subtitles', pasted);
+        }
+    }
+
+    /**
+     * Put a subtitle file's sentences in the input, one paragraph each, and list them with their times
+     */
+    function loadSubtitles(name, contents) {
+        const loaded = Subtitles.load(contents);
+        if (loaded.length === 0) {
+            updateStatus(`No subtitle cues found in ${name}`);
+            return;
+        }
+
+        if (isPlaying) resetPlayback('Stopped');
+
+        // Blank lines keep Sentences.split() from merging paragraphs
+        let offset = 0;
+        const list = loaded.map(sentence => {
+            const start = offset;
+            offset += sentence.text.length + 2;
+            return { ...sentence, start, end: start + sentence.text.length };
+        });
+
+        textInput.value = list.map(sentence => sentence.text).join('\n\n');
+        material = { text: getCurrentText(), sentences: list };
+        renderCueList();
+        updateStatus(`Loaded ${list.length} sentence${list.length === 1 ? '' : 's'} from ${name}`);
+    }
+
+    /**
+     * Forget the imported subtitles once the text is edited
+     */
+    function clearMaterial() {
+        material = null;
+        renderCueList();
+    }
+
+    /**
+     * List the imported sentences with their subtitle times
+     */
+    function renderCueList() {
+        const { el } = Dom;
+        const list = material ? material.sentences : [];
+
+        cueList.replaceChildren(...list.map((sentence, index) =>
+            el('li', { className: 'cue', dataset: { index }, title: 'Shadow from this sentence' },
+                el('span', { className: 'cue-time' },
+                    `${Subtitles.formatTime(sentence.startTime)}–${Subtitles.formatTime(sentence.endTime)}`),
+                el('span', { className: 'cue-text' }, sentence.text)
+            )
+        ));
+        cueList.hidden = list.length === 0;
+    }
+
+    /**
+     * Jump to a sentence from the subtitle list (in shadowing or a drill),
+     * starting shadowing if nothing is running
+     */
+    function handleCueClick(event) {
+        const cue = event.target.closest('.cue');
+        if (!cue) return;
+
+        const index = Number(cue.dataset.index);
+        if (drill) {
+            showDrillSentence(index);
+        } else if (isShadowingMode) {
+            playSentence(index);
+        } else if (!isPlaying) {
+            startShadowingMode(getCurrentText(), Recipes.getDefault(TTS.getSettings().slowRate), index);
+        }
+    }
+
+    /**
+     * Put a library lesson or passage in the input
+     */
+    function openLibraryItem(item) {
+        if (isPlaying) resetPlayback('Stopped');
+
+        textInput.value = item.text;
+        clearMaterial();
+        AnalysisView.hide();
+
+        const resume = resumeIndex(item.text);
+        updateStatus(resume > 0
+            ? `Opened "${item.title}". Shadowing, Chunks and drills continue from sentence ${resume + 1}.`
+            : `Opened "${item.title}"`);
+    }
+
+    /**
+     * Sentence to start from: where practice of this library text last stopped
+     */
+    function resumeIndex(text) {
+        const item = Library.findByText(text);
+        if (!item || item.position >= splitSentences(text).length) return 0;
+        return item.position;
+    }
+
+    /**
+     * Start a practice log session, and note the day on the text's library entry
+     * @param {string} mode - Practice log mode
+     * @param {Object} [details] - Passed to PracticeLog.start()
+     */
+    function startPractice(mode, text, details) {
+        PracticeLog.start(mode, text, details);
+
+        const item = Library.findByText(text);
+        libraryId = item ? item.id : null;
+        if (libraryId) Library.markPractised(libraryId);
+    }
+
+    /**
+     * Check the vocabulary of the current text
+     */
+    async function handleAnalyze() {
+        const text = getCurrentText();
+        if (!text) {
+            updateStatus('Please enter some text');
+            return;
+        }
+        await AnalysisView.show(text);
     }
 
     /**
@@ -69,164 +391,1072 @@
     }
 
     /**
-     * Parse text into words and render in display
+     * Parse text into tokens and render in display
+     * Each word keeps its character offsets in the text so TTS boundary
+     * events (charIndex) map to exactly one word span
      */
     function prepareDisplay(text) {
         currentText = text;
 
-        // Split into words (keep punctuation attached)
-        words = text.match(/[\w']+|[^\w\s]+|\s+/g) || [];
+        // Words (with inner apostrophes), punctuation clusters, whitespace
+        tokens = Sentences.tokenize(text);
 
         // Create word elements
         shadowingDisplay.innerHTML = '';
         wordElements = [];
+        wordOffsets = [];
+        wordWeights = [];
+        wordGaps = [];
+
+        // Phrases ("look up", "in order to") are grouped around their words
+        const phraseStarts = findPhrases();
+        let container = shadowingDisplay;
+        let phraseEnd = -1;
+        let gap = null;
+
+        tokens.forEach((token, i) => {
+            const phrase = phraseStarts.get(i);
+            if (phrase) {
+                container = createPhraseElement(phrase.phrase, token.start);
+                shadowingDisplay.appendChild(container);
+                phraseEnd = phrase.end;
+            }
 
-        words.forEach((word, index) => {
-            if (/^\s+$/.test(word)) {
-                // Whitespace
-                shadowingDisplay.appendChild(document.createTextNode(' '));
-            } else if (/^[^\w]+$/.test(word)) {
+            if (token.type === 'space') {
+                // Whitespace (kept per word, for chunk breaks)
+                gap = document.createTextNode(' ');
+                container.appendChild(gap);
+            } else if (token.type === 'punctuation') {
                 // Punctuation
                 const span = document.createElement('span');
-                span.textContent = word;
+                span.textContent = token.text;
                 span.className = 'punctuation';
-                shadowingDisplay.appendChild(span);
+                container.appendChild(span);
+
+                // Pause after the preceding word
+                if (wordWeights.length > 0) {
+                    wordWeights[wordWeights.length - 1] += Timing.pauseAfter(token.text);
+                }
+            } else {
+                // Word
+                const word = token.text;
+                const span = document.createElement('span');
+                span.textContent = word;
+                span.className = 'word';
+                span.dataset.index = wordElements.length;
+                span.dataset.word = word;
+                span.addEventListener('click', () => handleWordClick(word, span));
+                container.appendChild(span);
+                wordElements.push(span);
+                wordOffsets.push(token);
+                wordWeights.push(Timing.syllables(word));
+                wordGaps.push(gap);
+                gap = null;
+            }
+
+            if (i === phraseEnd) {
+                container = shadowingDisplay;
+            }
+        });
+
+        currentWordIndex = -1;
+        boundaryFired = false;
+        scoreResult.textContent = '';
+
+        // Fetch the dictionary shards for this text ahead of the first click
+        Dictionary.preload(wordOffsets.map(token => token.text));
+    }
+
+    /**
+     * Find the longest phrase entry starting at each word
+     * @returns {Map} token index -> { phrase, end } where end is the last word's token index
+     */
+    function findPhrases() {
+        const starts = new Map();
+
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type !== 'word') continue;
+
+            // Words joined only by whitespace, no punctuation in between
+            const run = [i];
+            let j = i;
+            while (run.length < MAX_PHRASE_WORDS &&
+                   tokens[j + 1] && tokens[j + 1].type === 'space' &&
+                   tokens[j + 2] && tokens[j + 2].type === 'word') {
+                j += 2;
+                run.push(j);
+            }
+
+            const match = Dictionary.matchPhrase(run.map(index => tokens[index].text));
+            if (match) {
+                const end = run[match.length - 1];
+                starts.set(i, { phrase: match.phrase, end });
+                i = end;
+            }
+        }
+
+        return starts;
+    }
+
+    /**
+     * Create the group element for a phrase; clicking its underline shows the phrase card
+     */
+    function createPhraseElement(phrase, start) {
+        const group = document.createElement('span');
+        group.className = 'phrase';
+        group.dataset.phrase = phrase;
+        group.title = `Phrase: ${phrase} (click the underline)`;
+        group.addEventListener('click', event => {
+            // The words inside keep their own cards
+            if (event.target.closest('.word') || group.querySelector('.cloze-blank')) return;
+            handlePhraseClick(phrase, group, start);
+        });
+        return group;
+    }
+
+    /**
+     * Handle Play button click
+     */
+    function handlePlay() {
+        playWholeText(TTS.getSettings().rate, 'Playing...', 'play');
+    }
+
+    /**
+     * Handle Slow button click
+     */
+    function handleSlow() {
+        playWholeText(TTS.getSettings().slowRate, 'Playing (slow)...', 'slow');
+    }
+
+    /**
+     * Play the whole input once with highlighting
+     * @param {string} mode - Practice log mode ('play' or 'slow')
+     */
+    async function playWholeText(rate, message, mode) {
+        const text = getCurrentText();
+        if (!text) {
+            updateStatus('Please enter some text');
+            return;
+        }
+
+        prepareDisplay(text);
+        startPractice(mode, text);
+        disableButtons(true);
+        updateStatus(message);
+
+        if (await speakDisplayed(rate)) {
+            finishPlayback('Done. Click words to learn more.');
+        }
+    }
+
+    /**
+     * Speak the displayed text with word highlighting
+     * @param {number} rate - Speech rate
+     * @param {SpeechSynthesisVoice} [voice] - Voice other than the selected one
+     * @returns {Promise<boolean>} false if playback was stopped
+     */
+    function speakDisplayed(rate, voice = null) {
+        boundaryFired = false;
+        startHighlighting(rate);
+        return TTS.enqueue(currentText, { rate, voice });
+    }
+
+    /**
+     * Reset the UI after playback finished on its own
+     */
+    function finishPlayback(message) {
+        stopHighlighting();
+        clearHighlights();
+        disableButtons(false);
+        updateStatus(message);
+        ProgressView.refresh();
+        LibraryView.refresh();
+    }
+
+    /**
+     * Handle Shadowing button click
+     */
+    function handleShadowing() {
+        startWithRecipe(Recipes.getDefault(TTS.getSettings().slowRate));
+    }
+
+    /**
+     * Handle Chunks button click: listen and repeat each sentence in sense groups
+     */
+    function handleChunks() {
+        const text = getCurrentText();
+        if (!text) {
+            updateStatus('Please enter some text');
+            return;
+        }
+        startShadowingMode(text, Recipes.getDefault(TTS.getSettings().slowRate), resumeIndex(text), true);
+    }
+
+    /**
+     * Start shadowing the current text with a recipe
+     */
+    function startWithRecipe(recipe) {
+        const text = getCurrentText();
+        if (!text) {
+            updateStatus('Please enter some text');
+            return;
+        }
+
+        startShadowingMode(text, recipe, resumeIndex(text));
+    }
+
+    /**
+     * Render saved recipes as buttons next to Play/Slow/Shadowing
+     */
+    function renderPresets() {
+        presetButtons.innerHTML = '';
+
+        Recipes.getSaved().forEach(recipe => {
+            const group = document.createElement('span');
+            group.className = 'preset';
+
+            const button = document.createElement('button');
+            button.className = 'btn btn-accent';
+            button.dataset.recipeId = recipe.id;
+            button.title = Recipes.describe(recipe);
+            button.textContent = recipe.name;
+
+            const remove = document.createElement('button');
+            remove.className = 'preset-delete';
+            remove.dataset.deleteId = recipe.id;
+            remove.title = 'Delete recipe';
+            remove.innerHTML = '&times;';
+
+            group.append(button, remove);
+            presetButtons.appendChild(group);
+        });
+
+        disableButtons(isShadowingMode);
+    }
+
+    /**
+     * Handle clicks on preset buttons (start or delete)
+     */
+    function handlePresetClick(event) {
+        const button = event.target.closest('button');
+        if (!button || button.disabled) return;
+
+        if (button.dataset.deleteId) {
+            Recipes.remove(button.dataset.deleteId);
+            renderPresets();
+            return;
+        }
+
+        const recipe = Recipes.get(button.dataset.recipeId);
+        if (recipe) {
+            startWithRecipe(recipe);
+        }
+    }
+
+    /**
+     * Save a recipe from the editor form
+     */
+    function handleRecipeSubmit(event) {
+        event.preventDefault();
+
+        const recipe = Recipes.create(
+            document.getElementById('recipeName').value,
+            document.getElementById('recipeRates').value,
+            parseInt(document.getElementById('recipeRepeat').value, 10),
+            document.getElementById('recipeListen').checked,
+            parseFloat(document.getElementById('recipeGap').value)
+        );
+
+        if (!recipe) {
+            updateStatus('Enter at least one speed between 0.1 and 2');
+            return;
+        }
+
+        Recipes.save(recipe);
+        recipeForm.hidden = true;
+        renderPresets();
+        updateStatus(`Saved recipe "${recipe.name}"`);
+    }
+
+    /**
+     * Start Shadowing mode
+     * Splits the text into sentences (or uses the imported subtitle
+     * sentences) and runs each one through the recipe's plays before
+     * moving to the next
+     * @param {number} [startIndex=0] - Sentence to begin with
+     * @param {boolean} [chunked=false] - Play each sentence chunk by chunk instead of by recipe
+     */
+    function startShadowingMode(text, recipe, startIndex = 0, chunked = false) {
+        sentences = splitSentences(text);
+        if (sentences.length === 0) return;
+
+        chunkMode = chunked;
+        activeRecipe = recipe;
+        startPractice(chunked ? 'chunks' : 'shadowing', text, chunked ? {} : { recipe: recipe.name });
+        shadowingPlan = Recipes.expand(recipe, TTS.getSettings().rate);
+        isShadowingMode = true;
+        disableButtons(true);
+        sentenceControls.hidden = false;
+        playSentence(startIndex);
+    }
+
+    /**
+     * Split text into sentences, with their subtitle times while it still
+     * holds the imported subtitles
+     */
+    function splitSentences(text) {
+        return material && material.text === text ? material.sentences : Sentences.split(text);
+    }
+
+    /**
+     * Play one sentence (through the recipe's plays, or chunk by chunk),
+     * then move on to the next sentence.
+     * Stopping or jumping to another sentence cancels the TTS queue, which
+     * resolves every pending step with false and ends the sentence's loop.
+     * @param {number} index - Sentence index (clamped to the sentence list)
+     */
+    async function playSentence(index) {
+        if (!isShadowingMode) return;
+
+        // Cancel every pending step of the previous sentence
+        TTS.stop();
+        Recorder.discard();
+        stopHighlighting();
+
+        if (index >= sentences.length) {
+            handleShadowingComplete();
+            return;
+        }
+
+        sentenceIndex = Math.max(0, index);
+        const { text } = sentences[sentenceIndex];
+        if (libraryId) Library.markPractised(libraryId, sentenceIndex);
+
+        prepareDisplay(text);
+        updateProgress();
+        renderTakes();
+        btnPrevSentence.disabled = sentenceIndex === 0;
+
+        const finished = chunkMode ? await playChunks(text) : await playRecipe(text);
+        if (finished) {
+            playSentence(sentenceIndex + 1);
+        }
+    }
+
+    /**
+     * Run the displayed sentence through the recipe's plays, waiting a gap
+     * scaled to the utterance length after each
+     * @returns {Promise<boolean>} false if stopped or moved to another sentence
+     */
+    async function playRecipe(text) {
+        for (let i = 0; i < shadowingPlan.length; i++) {
+            const step = shadowingPlan[i];
+            const isFollow = step.phase === 'follow';
+            const isLast = i === shadowingPlan.length - 1;
+            const rounds = step.rounds > 1 ? ` (${step.round}/${step.rounds})` : '';
+
+            // Only the follow-along plays get word highlighting (and recording)
+            let played;
+            if (isFollow) {
+                updateStatus(`Shadowing: Follow along! ${Recipes.formatRate(step.rate)}x${rounds}`, 'shadowing');
+                startTake();
+                played = await speakDisplayed(step.rate);
+            } else {
+                updateStatus('Shadowing: Listen first...', 'shadowing');
+                played = await TTS.enqueue(text, { rate: step.rate });
+            }
+            if (!played) return false;
+
+            if (!isFollow) {
+                updateStatus('Shadowing: Get ready to follow...', 'shadowing');
+            } else if (!isLast) {
+                updateStatus('Shadowing: Your turn, say it aloud...', 'shadowing');
+            }
+
+            const gap = await TTS.wait(duration => Recipes.getGap(activeRecipe, step, duration));
+            if (!gap) return false;
+
+            // A take covers one follow-along play plus the gap after it
+            finishTake();
+        }
+        return true;
+    }
+
+    /**
+     * Speak the displayed sentence one chunk at a time, highlighting the
+     * chunk and leaving a silence long enough to repeat it after each
+     * @returns {Promise<boolean>} false if stopped or moved to another sentence
+     */
+    async function playChunks(text) {
+        renderChunkGaps();
+        const chunks = Chunks.toRanges(chunkBoundaries, wordElements.length);
+        const { rate } = TTS.getSettings();
+
+        for (let i = 0; i < chunks.length; i++) {
+            const { from, to } = chunks[i];
+            const count = `(${i + 1}/${chunks.length})`;
+            // Up to the next chunk, so trailing punctuation keeps its intonation
+            const end = i + 1 < chunks.length ? wordOffsets[chunks[i + 1].from].start : text.length;
+
+            highlightChunk(from, to);
+            updateStatus(`Listen & repeat: Listen... ${count}`, 'shadowing');
+            const played = await TTS.enqueue(text.slice(wordOffsets[from].start, end).trim(), { rate, source: 'part' });
+            if (!played) return false;
+
+            updateStatus(`Listen & repeat: Your turn, say it aloud... ${count}`, 'shadowing');
+            const gap = await TTS.wait(duration => Chunks.getGap(duration));
+            if (!gap) return false;
+        }
+
+        highlightChunk(-1, -1);
+        return true;
+    }
+
+    /**
+     * Turn the spaces between the displayed words into chunk breaks that
+     * split or join chunks when clicked; changes are saved for the sentence
+     * and used from the next play
+     */
+    function renderChunkGaps() {
+        chunkBoundaries = Chunks.get(currentText, tokens);
+
+        wordGaps.forEach((node, index) => {
+            if (!node || index === 0) return;
+
+            const gap = Dom.el('span', { className: 'chunk-gap', title: 'Click to split or join chunks here' }, ' ');
+            gap.addEventListener('click', event => {
+                // Not a click on the phrase around it
+                event.stopPropagation();
+                chunkBoundaries = chunkBoundaries.includes(index)
+                    ? chunkBoundaries.filter(boundary => boundary !== index)
+                    : [...chunkBoundaries, index].sort((a, b) => a - b);
+                Chunks.save(currentText, tokens, chunkBoundaries);
+                updateChunkBreaks();
+            });
+            node.replaceWith(gap);
+            wordGaps[index] = gap;
+        });
+
+        updateChunkBreaks();
+    }
+
+    /**
+     * Mark the gaps where a chunk starts
+     */
+    function updateChunkBreaks() {
+        wordGaps.forEach((gap, index) => {
+            if (gap && gap.classList) gap.classList.toggle('chunk-break', chunkBoundaries.includes(index));
+        });
+    }
+
+    /**
+     * Highlight the words of the chunk being played (-1 clears)
+     */
+    function highlightChunk(from, to) {
+        wordElements.forEach((span, index) => {
+            span.classList.toggle('chunk-active', index >= from && index <= to);
+        });
+    }
+
+    /**
+     * Start a listening drill over the current text, one sentence at a time
+     * @param {string} type - 'dictation' (text hidden, type what you hear) or
+     *   'cloze' (fill in blanked words while listening)
+     */
+    function startDrill(type) {
+        const text = getCurrentText();
+        if (!text) {
+            updateStatus('Please enter some text');
+            return;
+        }
+
+        sentences = splitSentences(text);
+        if (sentences.length === 0) return;
+
+        drill = { type, blanks: [], inputs: [], checked: false, results: [] };
+        startPractice(type, text);
+        disableButtons(true);
+        drillPanel.hidden = false;
+        dictationInput.hidden = type !== 'dictation';
+        if (type === 'dictation') {
+            // Keep the passage out of sight: input box, subtitle list and vocabulary check
+            textInput.hidden = true;
+            cueList.hidden = true;
+            AnalysisView.hide();
+        }
+        showDrillSentence(resumeIndex(text));
+    }
+
+    /**
+     * Set up a drill sentence (hidden for dictation, with blanks for cloze) and play it
+     * @param {number} index - Sentence index; past the last sentence ends the drill
+     */
+    async function showDrillSentence(index) {
+        if (!drill) return;
+
+        TTS.stop();
+        if (index >= sentences.length) {
+            handleDrillComplete();
+            return;
+        }
+
+        sentenceIndex = index;
+        const { text } = sentences[index];
+        if (libraryId) Library.markPractised(libraryId, index);
+        drill.checked = false;
+        btnDrillCheck.disabled = false;
+        btnDrillNext.disabled = false;
+        btnDrillNext.innerHTML = index === sentences.length - 1
+            ? '<span class="icon">&#9632;</span> Finish'
+            : '<span class="icon">&#9197;</span> Next sentence';
+        drillMistakes.hidden = true;
+        updateProgress();
+
+        if (drill.type === 'dictation') {
+            prepareDisplay('');
+            shadowingDisplay.appendChild(Dom.el('p', { className: 'placeholder-text' },
+                'The text is hidden. Listen and type it below.'));
+            dictationInput.value = '';
+            dictationInput.focus();
+        } else {
+            prepareDisplay(text);
+            const words = wordElements.map(el => el.dataset.word);
+            if (clozeSource.value === 'dictionary') {
+                await Dictionary.preload(words);
+                // Stopped or moved on while the shards loaded
+                if (!drill || sentenceIndex !== index) return;
+            }
+            renderBlanks(Drills.pickBlanks(words, {
+                source: clozeSource.value,
+                isKnown: word => Dictionary.lookup(word) !== null
+            }));
+        }
+
+        playDrillSentence(TTS.getSettings().rate);
+    }
+
+    /**
+     * Replace the chosen word spans' text with inputs; Enter moves to the
+     * next blank, and from the last one checks the answers
+     * @param {Array<number>} blanks - Word indexes
+     */
+    function renderBlanks(blanks) {
+        drill.blanks = blanks;
+        drill.inputs = blanks.map((index, n) => {
+            const span = wordElements[index];
+            const input = Dom.el('input', {
+                type: 'text',
+                className: 'cloze-blank',
+                size: Math.max(2, span.dataset.word.length),
+                autocomplete: 'off',
+                spellcheck: false,
+                title: `Blank ${n + 1} of ${blanks.length}`
+            });
+            // Typing in a blank shouldn't open the word's card
+            input.addEventListener('click', event => event.stopPropagation());
+            input.addEventListener('keydown', event => {
+                if (event.key !== 'Enter') return;
+                event.preventDefault();
+                const next = drill.inputs[n + 1];
+                if (next) {
+                    next.focus();
+                } else {
+                    handleDrillCheck();
+                }
+            });
+            span.classList.add('cloze-word');
+            span.replaceChildren(input);
+            return input;
+        });
+
+        if (drill.inputs.length > 0) drill.inputs[0].focus();
+    }
+
+    /**
+     * Play the current drill sentence, with highlighting once its words are shown
+     * @param {number} rate - Speech rate
+     */
+    async function playDrillSentence(rate) {
+        if (!drill) return;
+
+        TTS.stop();
+        const { text } = sentences[sentenceIndex];
+        updateStatus(drill.type === 'dictation' ? 'Dictation: Listen...' : 'Cloze: Fill in the blanks while you listen...', 'playing');
+
+        const played = currentText === text
+            ? await speakDisplayed(rate)
+            : await TTS.enqueue(text, { rate });
+        if (!played || !drill) return;
+
+        if (drill.checked) {
+            updateStatus('Click a phrase to hear it again, or go on to the next sentence');
+        } else {
+            updateStatus(drill.type === 'dictation'
+                ? 'Dictation: Type what you heard, then Check'
+                : 'Cloze: Fill in the blanks, then Check');
+        }
+    }
+
+    /**
+     * Grade the current drill sentence and list the phrases around each mistake
+     */
+    function handleDrillCheck() {
+        if (!drill || drill.checked) return;
+
+        let result;
+        if (drill.type === 'dictation') {
+            prepareDisplay(sentences[sentenceIndex].text);
+            result = Scoring.score(wordElements.map(el => el.dataset.word), dictationInput.value);
+        } else {
+            const words = wordElements.map(el => el.dataset.word);
+            const ops = Drills.checkBlanks(words, drill.blanks, drill.inputs.map(input => input.value));
+            drill.blanks.forEach(index => {
+                wordElements[index].textContent = words[index];
+            });
+            result = { ops, ...Scoring.summarize(ops) };
+        }
+
+        drill.checked = true;
+        drill.results[sentenceIndex] = result.ops;
+        showScore(result, 'typed');
+        renderMistakes(result.ops);
+
+        btnDrillCheck.disabled = true;
+        btnDrillNext.focus();
+        updateStatus(result.accuracy === 100
+            ? 'All correct! Go on to the next sentence'
+            : 'Click a phrase to hear it again, or go on to the next sentence');
+    }
+
+    /**
+     * List the words around each mistake as buttons that replay just that part
+     * @param {Array<Object>} ops - Graded ops of the displayed sentence
+     */
+    function renderMistakes(ops) {
+        const { el } = Dom;
+        const ranges = Drills.mistakeRanges(ops, wordElements.length);
+
+        drillMistakes.replaceChildren(
+            el('span', { className: 'hint' }, 'Replay around a mistake:'),
+            ...ranges.map(({ from, to }) =>
+                el('button', { type: 'button', className: 'btn btn-small btn-outline drill-replay', dataset: { from, to } },
+                    `▶ ${currentText.slice(wordOffsets[from].start, wordOffsets[to].end)}`)
+            )
+        );
+        drillMistakes.hidden = ranges.length === 0;
+    }
+
+    /**
+     * Replay the part of the sentence around a mistake, slowly
+     */
+    async function handleMistakeClick(event) {
+        const button = event.target.closest('.drill-replay');
+        if (!button || !drill) return;
+
+        TTS.stop();
+        const from = Number(button.dataset.from);
+        const to = Number(button.dataset.to);
+        const part = wordElements.slice(from, to + 1);
+
+        part.forEach(span => span.classList.add('replaying'));
+        updateStatus('Replaying...', 'playing');
+        const played = await TTS.enqueue(currentText.slice(wordOffsets[from].start, wordOffsets[to].end), {
+            rate: TTS.getSettings().slowRate,
+            source: 'part'
+        });
+        part.forEach(span => span.classList.remove('replaying'));
+        if (played) updateStatus('Click a phrase to hear it again, or go on to the next sentence');
+    }
+
+    /**
+     * Report the accuracy over every checked sentence and leave the drill
+     */
+    function handleDrillComplete() {
+        const name = drill.type === 'dictation' ? 'Dictation' : 'Cloze';
+        const checked = drill.results.filter(Boolean);
+        const result = Scoring.summarize(checked.flat());
+
+        // Finished texts start from the beginning next time
+        if (libraryId) Library.markPractised(libraryId, 0);
+        endDrillMode();
+        finishPlayback(checked.length > 0
+            ? `${name} complete: ${result.accuracy}% (${result.correct}/${result.total} words in ${checked.length} of ${sentences.length} sentences)`
+            : `${name} ended. No sentences were checked.`);
+        if (checked.length > 0) {
+            scoreResult.textContent = `${name}: ${result.accuracy}% overall`;
+        }
+    }
+
+    /**
+     * Leave drill mode, hiding its panel and showing the text again
+     */
+    function endDrillMode() {
+        drill = null;
+        drillPanel.hidden = true;
+        drillMistakes.replaceChildren();
+        textInput.hidden = false;
+        renderCueList();
+        updateProgress();
+    }
+
+    /**
+     * Turn voice recording on/off
+     */
+    async function handleRecordToggle() {
+        if (!recordToggle.checked) {
+            Recorder.disable();
+            setRecorderStatus('');
+            return;
+        }
+
+        setRecorderStatus('Waiting for microphone...');
+        const enabled = await Recorder.enable();
+        if (!enabled) {
+            recordToggle.checked = false;
+            setRecorderStatus('No microphone available. Shadowing works without recording.');
+            return;
+        }
+        setRecorderStatus('Microphone ready');
+    }
+
+    /**
+     * Update recorder status text
+     */
+    function setRecorderStatus(message, recording = false) {
+        recorderStatus.textContent = message;
+        recorderStatus.classList.toggle('recording', recording);
+    }
+
+    /**
+     * Start recording a take for the current sentence
+     */
+    function startTake() {
+        if (!recordToggle.checked || !Recorder.isEnabled()) return;
+        if (Recorder.start()) {
+            setRecorderStatus('● Recording', true);
+        }
+    }
+
+    /**
+     * Stop the running take and keep it for the current sentence
+     */
+    function finishTake() {
+        if (!Recorder.isRecording()) return;
+
+        const key = sentences[sentenceIndex].text;
+        setRecorderStatus('Microphone ready');
+        Recorder.stop(key).then(renderTakes);
+    }
+
+    /**
+     * Render recorded takes for each sentence in the current text
+     */
+    function renderTakes() {
+        takesPanel.innerHTML = '';
+
+        sentences.forEach((sentence, index) => {
+            const list = Recorder.getTakes(sentence.text);
+            if (list.length === 0) return;
+
+            const group = document.createElement('div');
+            group.className = 'take-group';
+            if (index === sentenceIndex) group.classList.add('current');
+
+            const title = document.createElement('div');
+            title.className = 'take-sentence';
+            title.textContent = sentence.text;
+            group.appendChild(title);
+
+            list.forEach((take, takeIndex) => {
+                const row = document.createElement('div');
+                row.className = 'take-row';
+
+                const label = document.createElement('span');
+                label.textContent = `Take ${takeIndex + 1} · ${(take.duration / 1000).toFixed(1)}s`;
+                row.appendChild(label);
+
+                [
+                    ['mine', '▶ Mine'],
+                    ['ab', 'Model → Mine'],
+                    ['alternate', 'Alternate ×2']
+                ].forEach(([action, text]) => {
+                    const button = document.createElement('button');
+                    button.className = 'btn btn-small take-action';
+                    button.dataset.action = action;
+                    button.dataset.sentence = index;
+                    button.dataset.take = takeIndex;
+                    button.disabled = isShadowingMode;
+                    button.textContent = text;
+                    row.appendChild(button);
+                });
+
+                group.appendChild(row);
+            });
+
+            takesPanel.appendChild(group);
+        });
+
+        takesPanel.hidden = takesPanel.children.length === 0;
+    }
+
+    /**
+     * Handle take playback buttons
+     */
+    function handleTakesClick(event) {
+        const button = event.target.closest('.take-action');
+        if (!button || button.disabled) return;
+
+        const sentence = sentences[button.dataset.sentence];
+        const take = sentence && Recorder.getTakes(sentence.text)[button.dataset.take];
+        if (!take) return;
+
+        const sequences = {
+            mine: ['take'],
+            ab: ['model', 'take'],
+            alternate: ['model', 'take', 'model', 'take']
+        };
+        playComparison(sentence.text, take, sequences[button.dataset.action]);
+    }
+
+    /**
+     * Play the TTS model and a recorded take in sequence
+     * @param {string} text - Sentence text
+     * @param {Object} take - Recorded take
+     * @param {Array<string>} sequence - 'model' / 'take' in play order
+     */
+    async function playComparison(text, take, sequence) {
+        prepareDisplay(text);
+        PracticeLog.start('compare', text);
+        disableButtons(true);
+        takesPanel.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+
+        for (const part of sequence) {
+            let played;
+            if (part === 'model') {
+                updateStatus('Compare: Model', 'playing');
+                played = await speakDisplayed(TTS.getSettings().rate);
             } else {
-                // Word
-                const span = document.createElement('span');
-                span.textContent = word;
-                span.className = 'word';
-                span.dataset.index = wordElements.length;
-                span.dataset.word = word;
-                span.addEventListener('click', () => handleWordClick(word, span));
-                shadowingDisplay.appendChild(span);
-                wordElements.push(span);
+                updateStatus('Compare: Your take', 'playing');
+                played = await playAudio(take.url);
             }
-        });
+            if (!played) return;
+        }
 
-        currentWordIndex = -1;
-        boundaryFired = false;
+        finishPlayback('Done. Click words to learn more.');
+        renderTakes();
     }
 
     /**
-     * Handle Play button click
+     * Cancel a running A/B comparison
      */
-    function handlePlay() {
-        const text = getCurrentText();
-        if (!text) {
-            updateStatus('Please enter some text');
-            return;
+    function stopComparison() {
+        if (currentAudio) {
+            currentAudio.audio.pause();
+            currentAudio.resolve(false);
+            currentAudio = null;
         }
-
-        prepareDisplay(text);
-        disableButtons(true);
-        updateStatus('Playing...');
-        startHighlighting(1.0);
-        TTS.speakNormal(text);
+        renderTakes();
     }
 
     /**
-     * Handle Slow button click
+     * Play the displayed sentence (or the first sentence of the input)
+     * once with every English voice
      */
-    function handleSlow() {
-        const text = getCurrentText();
+    async function compareVoices() {
+        const text = currentText || (Sentences.split(getCurrentText())[0] || {}).text;
         if (!text) {
             updateStatus('Please enter some text');
             return;
         }
 
+        const voices = TTS.getEnglishVoicesByLocale().flatMap(group => group.voices);
+        if (voices.length === 0) {
+            updateStatus('No English voices available');
+            return;
+        }
+
         prepareDisplay(text);
+        PracticeLog.start('compare', text);
         disableButtons(true);
-        updateStatus('Playing (slow)...');
-        startHighlighting(0.7);
-        TTS.speakSlow(text);
+
+        for (let i = 0; i < voices.length; i++) {
+            const voice = voices[i];
+            updateStatus(`Voice ${i + 1} of ${voices.length}: ${voice.name} (${voice.lang})`, 'playing');
+            if (!(await speakDisplayed(TTS.getSettings().rate, voice))) return;
+        }
+
+        finishPlayback('Done. Click words to learn more.');
     }
 
     /**
-     * Handle Shadowing button click
+     * Play a recorded take
+     * @returns {Promise<boolean>} false if playback was stopped
      */
-    function handleShadowing() {
-        const text = getCurrentText();
-        if (!text) {
-            updateStatus('Please enter some text');
+    function playAudio(url) {
+        return new Promise((resolve) => {
+            const audio = new Audio(url);
+            const entry = { audio, resolve };
+            currentAudio = entry;
+
+            const done = () => {
+                if (currentAudio !== entry) return;
+                currentAudio = null;
+                resolve(true);
+            };
+            audio.onended = done;
+            audio.onerror = done;
+            audio.play().catch(done);
+        });
+    }
+
+    /**
+     * Show the transcript box only for the typed backend
+     */
+    function updateScoreInputs() {
+        typedTranscript.hidden = recognizerSelect.value !== 'typed';
+    }
+
+    /**
+     * Capture an attempt with the selected recognizer and score it
+     * against the words currently rendered in the display
+     */
+    async function handleScore() {
+        if (wordElements.length === 0) {
+            updateStatus('Play some text first, then score your attempt');
             return;
         }
 
-        prepareDisplay(text);
-        startShadowingMode(text);
+        const backend = recognizerSelect.value;
+        if (backend === 'speech') {
+            updateStatus('Listening... read the sentence aloud', 'playing');
+        }
+
+        btnScore.disabled = true;
+        try {
+            const transcript = await Recognizer.recognize(backend, {
+                reference: currentText,
+                typed: typedTranscript.value
+            });
+            showScore(Scoring.score(wordElements.map(el => el.dataset.word), transcript));
+            updateStatus(transcript ? `Heard: "${transcript}"` : 'Nothing was heard');
+        } catch (error) {
+            // Listening was cut short by Stop
+            if (error.message === 'aborted') return;
+            console.error('Scoring failed:', error);
+            updateStatus(`Could not capture your attempt (${error.message})`);
+        } finally {
+            btnScore.disabled = false;
+        }
     }
 
     /**
-     * Start Shadowing mode
-     * 1. Play at normal speed
-     * 2. Pause 1 second
-     * 3. Play at slow speed with word highlighting
+     * Colour word spans by alignment result and show the score
+     * @param {Object} result - From Scoring.score()
+     * @param {string} [verb] - How the attempt was made, for the tooltip of a wrong word
      */
-    function startShadowingMode(text) {
-        isShadowingMode = true;
-        disableButtons(true);
-        updateStatus('Shadowing: Listen first...', 'shadowing');
-
-        // Phase 1: Normal speed playback (no highlighting)
-        TTS.setOnEnd(() => {
-            if (!isShadowingMode) return;
+    function showScore(result, verb = 'said') {
+        // Clear previous marks
+        shadowingDisplay.querySelectorAll('.score-inserted').forEach(el => el.remove());
+        wordElements.forEach(el => {
+            el.classList.remove('score-correct', 'score-substituted', 'score-missing');
+            el.removeAttribute('title');
+        });
 
-            updateStatus('Shadowing: Get ready to follow...', 'shadowing');
+        result.ops.forEach(op => {
+            if (op.type === 'inserted') {
+                const marker = document.createElement('span');
+                marker.className = 'score-inserted';
+                marker.textContent = `+${op.hyp}`;
+                marker.title = 'Extra word';
+                const anchor = wordElements[op.refIndex];
+                if (anchor) {
+                    anchor.after(marker);
+                } else {
+                    shadowingDisplay.prepend(marker);
+                }
+                return;
+            }
 
-            // Pause 1 second
-            setTimeout(() => {
-                if (!isShadowingMode) return;
+            const el = wordElements[op.refIndex];
+            el.classList.add(`score-${op.type}`);
+            if (op.type === 'substituted') {
+                el.title = `You ${verb} "${op.hyp}"`;
+            } else if (op.type === 'missing') {
+                el.title = 'Missed';
+            }
+        });
 
-                updateStatus('Shadowing: Follow along!', 'shadowing');
+        scoreResult.textContent = `Score: ${result.accuracy}% (${result.correct}/${result.total} words)`;
+        PracticeLog.recordScore(result.accuracy);
+    }
 
-                // Phase 2: Slow playback with highlighting
-                TTS.setOnEnd(() => {
-                    handleShadowingComplete();
-                });
+    /**
+     * Show "Sentence n of m" (and its subtitle time) in the status bar,
+     * and mark the sentence in the subtitle list
+     */
+    function updateProgress() {
+        const active = (isShadowingMode || drill !== null) && sentences.length > 0;
+        if (active) {
+            const { startTime } = sentences[sentenceIndex];
+            const time = startTime !== undefined ? ` (${Subtitles.formatTime(startTime)})` : '';
+            progressText.textContent = `Sentence ${sentenceIndex + 1} of ${sentences.length}${time}`;
+        } else {
+            progressText.textContent = '';
+        }
 
-                boundaryFired = false;
-                startHighlighting(0.7);
-                TTS.speakSlow(text);
-            }, 1000);
+        cueList.querySelectorAll('.cue').forEach(cue => {
+            cue.classList.toggle('current', active && Number(cue.dataset.index) === sentenceIndex);
         });
+        const current = cueList.querySelector('.cue.current');
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    }
 
-        TTS.speakNormal(text);
+    /**
+     * Leave shadowing mode and cancel any pending sentence steps
+     */
+    function endShadowingMode() {
+        isShadowingMode = false;
+        if (chunkMode) highlightChunk(-1, -1);
+        chunkMode = false;
+        Recorder.discard();
+        setRecorderStatus(Recorder.isEnabled() ? 'Microphone ready' : '');
+        sentenceControls.hidden = true;
+        updateProgress();
     }
 
     /**
      * Start time-based word highlighting
-     * This runs as a fallback/supplement to onboundary events
+     * This runs as a fallback/supplement to onboundary events. Each word
+     * gets time in proportion to its syllables (plus punctuation pauses),
+     * at a speaking rate learned from earlier boundary/end events.
      */
-    function startHighlighting(rate) {
+    function startHighlighting(rate, fromIndex = 0) {
         stopHighlighting();
+        highlightRate = rate;
 
         if (wordElements.length === 0) return;
 
-        // Estimate speech duration: ~150 words per minute at rate 1.0
-        // Adjusted for rate and add buffer
-        const wordsPerMinute = 150 * rate;
-        const totalDuration = (wordElements.length / wordsPerMinute) * 60 * 1000;
-        const intervalPerWord = totalDuration / wordElements.length;
+        const starts = Timing.schedule(wordWeights, rate);
+        const startedAt = Date.now() - starts[fromIndex];
+        let wordIndex = fromIndex;
 
-        let wordIndex = 0;
-
-        // Start first word immediately
-        highlightWord(0);
-        wordIndex = 1;
+        const tick = () => {
+            highlightTimer = null;
 
-        highlightTimer = setInterval(() => {
             // If boundary events are working, let them handle it
-            if (boundaryFired) {
-                return;
-            }
+            if (boundaryFired) return;
+
+            highlightWord(wordIndex);
+            wordIndex++;
 
             if (wordIndex < wordElements.length) {
-                highlightWord(wordIndex);
-                wordIndex++;
-            } else {
-                stopHighlighting();
+                const delay = starts[wordIndex] - (Date.now() - startedAt);
+                highlightTimer = setTimeout(tick, Math.max(0, delay));
             }
-        }, intervalPerWord);
+        };
+
+        // Start first word immediately
+        tick();
     }
 
     /**
@@ -234,72 +1464,186 @@
      */
     function stopHighlighting() {
         if (highlightTimer) {
-            clearInterval(highlightTimer);
+            clearTimeout(highlightTimer);
             highlightTimer = null;
         }
     }
 
+    /**
+     * Sum of word weights before a word (syllables + pauses)
+     */
+    function unitsBefore(wordIndex) {
+        let units = 0;
+        for (let i = 0; i < wordIndex; i++) {
+            units += wordWeights[i];
+        }
+        return units;
+    }
+
+    /**
+     * Learn the speaking rate from a finished utterance of the display text
+     * @param {number} rate - Rate the text was spoken at
+     */
+    function learnSpeechTiming(rate) {
+        if (speechStartedAt) {
+            Timing.observe(Date.now() - speechStartedAt, unitsBefore(wordWeights.length), rate);
+        }
+        speechStartedAt = 0;
+    }
+
     /**
      * Handle shadowing mode complete
      */
     function handleShadowingComplete() {
-        isShadowingMode = false;
-        stopHighlighting();
-        clearHighlights();
-        disableButtons(false);
-        updateStatus('Shadowing complete! Click words to learn more.');
+        const name = chunkMode ? 'Listen & repeat' : 'Shadowing';
 
-        // Reset TTS callbacks
-        TTS.setOnEnd(handleSpeechEnd);
+        // Finished texts start from the beginning next time
+        if (libraryId) Library.markPractised(libraryId, 0);
+        endShadowingMode();
+        renderTakes();
+        finishPlayback(`${name} complete! Click words to learn more.`);
     }
 
     /**
      * Handle Stop button click
      */
     function handleStop() {
+        resetPlayback('Stopped');
+    }
+
+    /**
+     * Cancel every pending playback step and reset the UI
+     */
+    function resetPlayback(message) {
         TTS.stop();
-        isShadowingMode = false;
+        Recognizer.abort();
+        endShadowingMode();
+        if (drill) endDrillMode();
+        stopComparison();
+        finishPlayback(message);
+    }
+
+    /**
+     * Handle Pause/Resume button click
+     */
+    function handlePauseToggle() {
+        // Recorded takes play outside the TTS queue
+        if (currentAudio) {
+            const { audio } = currentAudio;
+            if (audio.paused) {
+                audio.play();
+                handleSpeechResume();
+            } else {
+                audio.pause();
+                handleSpeechPause();
+            }
+            return;
+        }
+
+        if (TTS.isPaused()) {
+            TTS.resume();
+        } else {
+            TTS.pause();
+        }
+    }
+
+    /**
+     * Handle TTS pause: freeze the fallback highlighter
+     */
+    function handleSpeechPause() {
+        highlightPaused = highlightTimer !== null;
         stopHighlighting();
-        clearHighlights();
-        disableButtons(false);
-        updateStatus('Stopped');
 
-        // Reset TTS callbacks
-        TTS.setOnEnd(handleSpeechEnd);
+        // Timing across a pause says nothing about speaking rate
+        speechStartedAt = 0;
+
+        const statusBar = document.querySelector('.status-bar');
+        statusBeforePause = {
+            message: statusText.textContent,
+            mode: ['playing', 'shadowing'].find(mode => statusBar.classList.contains(mode)) || ''
+        };
+        updateStatus('Paused');
+        setPauseButton(true);
+    }
+
+    /**
+     * Handle TTS resume: continue highlighting from the current word
+     */
+    function handleSpeechResume() {
+        if (statusBeforePause) {
+            updateStatus(statusBeforePause.message, statusBeforePause.mode);
+            statusBeforePause = null;
+        }
+
+        if (highlightPaused && currentWordIndex >= 0) {
+            startHighlighting(highlightRate, currentWordIndex);
+        }
+        highlightPaused = false;
+        setPauseButton(false);
+    }
+
+    /**
+     * Handle TTS cancel: a stop or sentence jump also ends any pause
+     */
+    function handleSpeechCancel() {
+        statusBeforePause = null;
+        highlightPaused = false;
+        setPauseButton(false);
+    }
+
+    /**
+     * Switch the Pause button between Pause and Resume
+     */
+    function setPauseButton(paused) {
+        btnPause.innerHTML = paused
+            ? '<span class="icon">&#9658;</span> Resume'
+            : '<span class="icon">&#10074;&#10074;</span> Pause';
     }
 
     /**
      * Handle word boundary event from TTS
      */
-    function handleWordBoundary(charIndex, charLength) {
-        // Ignore boundary events for single word playback
-        if (isSingleWordMode) return;
+    function handleWordBoundary({ charIndex, source }) {
+        // Ignore boundary events for single words and sentence parts,
+        // whose offsets aren't in the displayed text
+        if (source === 'word' || source === 'part') return;
 
-        boundaryFired = true;
+        const wordIdx = findWordAt(charIndex);
+        if (wordIdx < 0) return;
 
-        // Find which word is being spoken
-        let charCount = 0;
-        let wordIdx = 0;
+        boundaryFired = true;
+        highlightWord(wordIdx);
 
-        for (let i = 0; i < words.length; i++) {
-            const word = words[i];
-            if (/^\s+$/.test(word) || /^[^\w]+$/.test(word)) {
-                charCount += word.length;
-                continue;
-            }
+        // Learn how long the words so far took to say
+        if (speechStartedAt) {
+            Timing.observe(Date.now() - speechStartedAt, unitsBefore(wordIdx), highlightRate);
+        }
+    }
 
-            if (charCount <= charIndex && charIndex < charCount + word.length) {
-                highlightWord(wordIdx);
-                return;
-            }
+    /**
+     * Find the word at a character offset (binary search over word offsets)
+     * An offset in whitespace/punctuation maps to the next word
+     * @returns {number} Word index, or -1 if past the last word
+     */
+    function findWordAt(charIndex) {
+        let low = 0;
+        let high = wordOffsets.length - 1;
+        let found = -1;
 
-            charCount += word.length;
-            // Account for space
-            if (i < words.length - 1) {
-                charCount += 1; // space between words
+        // Last word starting at or before charIndex
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (wordOffsets[mid].start <= charIndex) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
             }
-            wordIdx++;
         }
+
+        if (found < 0) return wordOffsets.length > 0 ? 0 : -1;
+        if (charIndex < wordOffsets[found].end) return found;
+        return found + 1 < wordOffsets.length ? found + 1 : -1;
     }
 
     /**
@@ -331,41 +1675,303 @@
     /**
      * Handle word click in shadowing display
      */
-    function handleWordClick(word, element) {
+    async function handleWordClick(word, element) {
+        // A cloze blank keeps its word hidden until checked
+        if (element.querySelector('.cloze-blank')) return;
+
         // Clear previous selection
-        wordElements.forEach(el => el.classList.remove('selected'));
+        clearSelection();
 
         // Select this word
         element.classList.add('selected');
         selectedWord = word;
 
-        // Look up and display word info
-        const wordInfo = Dictionary.lookup(word);
-        if (wordInfo) {
-            breakdownDisplay.innerHTML = Dictionary.renderWordInfo(wordInfo);
+        await Dictionary.preload([word]);
+        // Another word may have been clicked while the shard loaded
+        if (selectedWord !== word) return;
+
+        // Look up and display word info, guessing a breakdown for unknown words
+        const wordInfo = Dictionary.lookup(word) || Morphology.analyze(word);
+        breakdownDisplay.replaceChildren(wordInfo
+            ? Dictionary.renderWordInfo(wordInfo)
+            : Dictionary.renderNotFound(word));
+
+        const offset = wordOffsets[element.dataset.index];
+        const key = wordInfo ? wordInfo.word : word.toLowerCase();
+        PracticeLog.recordLookup(key);
+        renderNotebookAction(key, sentenceAt(offset.start));
+        renderEditButton(key, wordInfo, () => handleWordClick(word, element));
+
+        const group = element.closest('.phrase');
+        if (group) {
+            renderPhraseLink(group, offset.start);
+        }
+    }
+
+    /**
+     * Handle a click on a phrase group in shadowing display
+     */
+    async function handlePhraseClick(phrase, group, start) {
+        clearSelection();
+        group.classList.add('selected');
+        selectedWord = phrase;
+
+        await Dictionary.preload([phrase]);
+        if (selectedWord !== phrase) return;
+
+        breakdownDisplay.replaceChildren(Dictionary.renderWordInfo(Dictionary.lookup(phrase)));
+        PracticeLog.recordLookup(phrase);
+        renderNotebookAction(phrase, sentenceAt(start));
+        renderEditButton(phrase, null, () => handlePhraseClick(phrase, group, start));
+    }
+
+    /**
+     * Add an "Add this word" / "Edit entry" button under the breakdown card
+     * @param {string} word - Dictionary key
+     * @param {Object|null} wordInfo - Current card data; a guessed breakdown pre-fills a new entry
+     * @param {Function} reopen - Shows the card again after saving or cancelling
+     */
+    function renderEditButton(word, wordInfo, reopen) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-outline';
+        button.textContent = Dictionary.getEntry(word) ? 'Edit entry' : 'Add this word';
+        button.addEventListener('click', () => {
+            breakdownDisplay.replaceChildren(WordEditor.create(word, {
+                initial: wordInfo && wordInfo.autoAnalysed ? { breakdown: wordInfo.breakdown } : null,
+                onSave: () => {
+                    updateEditsSummary();
+                    showDataWarning();
+                    reopen();
+                },
+                onCancel: reopen
+            }));
+        });
+        breakdownDisplay.querySelector('.notebook-action').appendChild(button);
+    }
+
+    /**
+     * List dictionary entries that failed the schema check and were skipped
+     */
+    function showDataWarning() {
+        const { errors } = Dictionary.getValidationReport();
+        const { failedPacks, usingFallback } = Dictionary.getLoadStatus();
+        const hasProblems = errors.length > 0 || failedPacks.length > 0;
+        dataWarning.hidden = !hasProblems;
+        dataWarning.innerHTML = '';
+        if (!hasProblems) return;
+
+        const summary = document.createElement('summary');
+        const list = document.createElement('ul');
+        const addItem = text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        };
+
+        if (usingFallback) {
+            summary.textContent = 'The dictionary could not be loaded, only a sample word is available';
+            addItem(location.protocol === 'file:'
+                ? 'Browsers block loading data files from file://. Open the app through a local server or the installed app (see README).'
+                : 'Check your connection and reload. Once loaded, the dictionary stays available offline.');
+        } else if (failedPacks.length > 0) {
+            summary.textContent = `Dictionary pack${failedPacks.length === 1 ? '' : 's'} ${failedPacks.join(', ')} could not be loaded`;
         } else {
-            breakdownDisplay.innerHTML = `
-                <div class="not-found">
-                    <p class="word-display">${word}</p>
-                    <p>This word is not in the dictionary yet.</p>
-                    <p>Try adding it to words.json!</p>
-                </div>
-            `;
+            const skipped = new Set(errors.map(({ word }) => word)).size;
+            summary.textContent = `${skipped} dictionary entr${skipped === 1 ? 'y was' : 'ies were'} skipped because of data errors`;
+        }
+
+        errors.forEach(({ word, message }) => addItem(`${word}: ${message}`));
+        dataWarning.append(summary, list);
+    }
+
+    /**
+     * Show how many local dictionary edits there are
+     */
+    function updateEditsSummary() {
+        const count = Object.keys(Dictionary.exportPatch()).length;
+        const note = WordStore.isPersistent() ? '' : ' (kept until the page is reloaded)';
+        editsSummary.textContent = count === 0
+            ? 'No local dictionary edits'
+            : `${count} local edit${count === 1 ? '' : 's'}${note}`;
+        btnExportEdits.disabled = count === 0;
+        renderEntryQueue();
+    }
+
+    /**
+     * List the words queued for dictionary entries, dropping ones that have an entry now
+     */
+    function renderEntryQueue() {
+        const { el } = Dom;
+        const queued = Vocabulary.getQueue();
+        const added = queued.filter(word => Dictionary.getEntry(word));
+        if (added.length > 0) Vocabulary.unqueue(added);
+        const waiting = queued.filter(word => !added.includes(word));
+
+        entryQueue.replaceChildren(
+            el('span', { className: 'hint' }, `Waiting for entries (${waiting.length}):`),
+            ...waiting.map(word => el('button', { type: 'button', className: 'entry-queue-word', dataset: { word } }, word)),
+            el('button', { type: 'button', className: 'btn btn-small', dataset: { action: 'clear' } }, 'Clear')
+        );
+        entryQueue.hidden = waiting.length === 0;
+    }
+
+    /**
+     * Open a queued word (to add its entry), or clear the queue
+     */
+    function handleEntryQueueClick(event) {
+        const word = event.target.closest('.entry-queue-word');
+        if (word) {
+            showSearchResult(word.dataset.word);
+        } else if (event.target.closest('[data-action=clear]')) {
+            Vocabulary.unqueue(Vocabulary.getQueue());
+            renderEntryQueue();
         }
     }
 
     /**
-     * Handle clicks in breakdown display (for play button and family words)
+     * Download local edits as a patch to merge into words.json
+     */
+    function handleExportEdits() {
+        const json = JSON.stringify(Dictionary.exportPatch(), null, 2) + '\n';
+        downloadFile('words.patch.json', json, 'application/json');
+    }
+
+    /**
+     * Preview a CSV/TSV file in the breakdown panel before importing it
+     */
+    async function handleImportCsv() {
+        const file = csvFileInput.files[0];
+        csvFileInput.value = '';
+        if (!file) return;
+
+        const previous = [...breakdownDisplay.childNodes];
+        const restore = () => breakdownDisplay.replaceChildren(...previous);
+
+        breakdownDisplay.replaceChildren(await ImportView.create(file.name, await file.text(), {
+            onImport: (count) => {
+                updateEditsSummary();
+                showDataWarning();
+                restore();
+                updateStatus(`Imported ${count} entr${count === 1 ? 'y' : 'ies'}`);
+            },
+            onCancel: restore
+        }));
+    }
+
+    /**
+     * Download the whole dictionary (with local edits) as CSV
+     */
+    async function handleExportCsv() {
+        const entries = await Dictionary.getAllEntries();
+        // The byte order mark makes Excel read the file as UTF-8
+        downloadFile('dictionary.csv', '\uFEFF' + DictionaryCsv.stringify(entries), 'text/csv');
+    }
+
+    /**
+     * Save text as a file through a temporary link
+     */
+    function downloadFile(name, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Add a link from a word's card to the phrase it belongs to
+     */
+    function renderPhraseLink(group, start) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-outline phrase-link';
+        button.textContent = `Part of "${group.dataset.phrase}" — show phrase`;
+        button.addEventListener('click', () => handlePhraseClick(group.dataset.phrase, group, start));
+        breakdownDisplay.querySelector('.notebook-action').appendChild(button);
+    }
+
+    /**
+     * Remove the selection from words and phrases
+     */
+    function clearSelection() {
+        shadowingDisplay.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+    }
+
+    /**
+     * Find the sentence of the displayed text that contains a character offset
+     */
+    function sentenceAt(charIndex) {
+        const match = Sentences.split(currentText)
+            .find(sentence => charIndex >= sentence.start && charIndex < sentence.end);
+        return match ? match.text : currentText;
+    }
+
+    /**
+     * Add a "save to notebook" button under the breakdown card
+     * @param {string} word - Word to save (dictionary form when known)
+     * @param {string} sentence - Sentence the word came from
+     */
+    function renderNotebookAction(word, sentence) {
+        const action = document.createElement('div');
+        action.className = 'notebook-action';
+
+        const button = document.createElement('button');
+        button.className = 'btn btn-small';
+        action.appendChild(button);
+
+        const update = () => {
+            const saved = Notebook.has(word);
+            button.classList.toggle('saved', saved);
+            button.innerHTML = saved
+                ? '<span class="icon">&#9733;</span> In notebook'
+                : '<span class="icon">&#9734;</span> Save to notebook';
+        };
+
+        button.addEventListener('click', () => {
+            if (Notebook.has(word)) {
+                Notebook.remove(word);
+            } else {
+                Notebook.add(word, sentence);
+            }
+            update();
+            NotebookView.refresh();
+        });
+
+        update();
+        breakdownDisplay.appendChild(action);
+    }
+
+    /**
+     * Handle clicks in breakdown display (play button, family words and morphemes)
      */
     function handleBreakdownClick(event) {
         const target = event.target;
 
-        // Play word button
+        // Morpheme chip: list every word sharing this prefix/root/suffix
+        const morpheme = target.closest('.morpheme');
+        if (morpheme) {
+            breakdownDisplay.replaceChildren(Dictionary.renderMorpheme(
+                morpheme.dataset.type,
+                morpheme.dataset.morpheme
+            ));
+            return;
+        }
+
+        // Word in a morpheme panel
+        const morphemeWord = target.closest('.morpheme-word');
+        if (morphemeWord) {
+            showDictionaryWord(morphemeWord.dataset.word);
+            return;
+        }
+
+        // Play word button (stops any running playback)
         if (target.classList.contains('play-word')) {
             const word = target.dataset.word;
             if (word) {
-                isSingleWordMode = true;
-                TTS.speakNormal(word);
+                speakWord(word);
             }
         }
 
@@ -373,40 +1979,84 @@
         if (target.classList.contains('family-word')) {
             const word = target.dataset.word;
             if (word) {
-                const wordInfo = Dictionary.lookup(word);
-                breakdownDisplay.innerHTML = Dictionary.renderWordInfo(wordInfo);
-                // Also speak the word
-                isSingleWordMode = true;
-                TTS.speakNormal(word);
+                showDictionaryWord(word);
             }
         }
     }
 
+    /**
+     * Show a word's card from inside the breakdown panel and speak it
+     */
+    async function showDictionaryWord(word) {
+        await Dictionary.preload([word]);
+        const wordInfo = Dictionary.lookup(word) || Morphology.analyze(word);
+        breakdownDisplay.replaceChildren(Dictionary.renderWordInfo(wordInfo));
+        PracticeLog.recordLookup(wordInfo ? wordInfo.word : word);
+        // Also speak the word, unless that would interrupt practice
+        if (!isPlaying) speakWord(word);
+    }
+
+    /**
+     * Show a word picked in the search box, with its notebook and edit buttons
+     */
+    async function showSearchResult(word) {
+        clearSelection();
+        selectedWord = word;
+
+        await Dictionary.preload([word]);
+        if (selectedWord !== word) return;
+
+        const wordInfo = Dictionary.lookup(word);
+        breakdownDisplay.replaceChildren(wordInfo
+            ? Dictionary.renderWordInfo(wordInfo)
+            : Dictionary.renderNotFound(word));
+
+        const key = wordInfo ? wordInfo.word : word;
+        PracticeLog.recordLookup(key);
+        renderNotebookAction(key, '');
+        renderEditButton(key, wordInfo, () => showSearchResult(word));
+    }
+
+    /**
+     * Pronounce a single word (events are tagged so highlighting ignores them)
+     * Any running playback is stopped first
+     */
+    function speakWord(word) {
+        if (isPlaying) handleStop();
+        TTS.speakNormal(word, { source: 'word' });
+    }
+
     /**
      * Handle TTS speech start
      */
-    function handleSpeechStart() {
+    function handleSpeechStart({ source }) {
         // Don't update UI for single word playback
-        if (isSingleWordMode) return;
+        if (source === 'word') return;
+
+        speechStartedAt = Date.now();
         document.querySelector('.status-bar').classList.add('playing');
     }
 
     /**
      * Handle TTS speech end
      */
-    function handleSpeechEnd() {
-        // Reset single word mode
-        if (isSingleWordMode) {
-            isSingleWordMode = false;
-            return;
-        }
+    function handleSpeechEnd({ text, rate, source }) {
+        if (source === 'word') return;
 
+        if (text === currentText) {
+            learnSpeechTiming(rate);
+        }
+        PracticeLog.recordPlay(rate);
         stopHighlighting();
         clearHighlights();
-        disableButtons(false);
-        document.querySelector('.status-bar').classList.remove('playing');
-        document.querySelector('.status-bar').classList.remove('shadowing');
-        updateStatus('Done. Click words to learn more.');
+    }
+
+    /**
+     * Handle TTS speech error: abandon whatever flow was running
+     */
+    function handleSpeechError({ error, source }) {
+        if (source === 'word') return;
+        resetPlayback(`Speech error (${error}). Please try again.`);
     }
 
     /**
@@ -428,7 +2078,18 @@
         btnPlay.disabled = disabled;
         btnSlow.disabled = disabled;
         btnShadowing.disabled = disabled;
+        btnChunks.disabled = disabled;
+        btnDictation.disabled = disabled;
+        btnCloze.disabled = disabled;
+        clozeSource.disabled = disabled;
         btnStop.disabled = !disabled;
+        btnPause.disabled = !disabled;
+        isPlaying = disabled;
+        if (!disabled) setPauseButton(false);
+        presetButtons.querySelectorAll('button').forEach(btn => {
+            btn.disabled = disabled;
+        });
+        VoiceSettings.setBusy(disabled);
     }
 
     // Initialize when DOM is ready
@@ -0,0 +1,172 @@
+/**
+ * Chunks Module - Split sentences into sense groups for listen-and-repeat
+ *
+ * A chunk ends at punctuation, and a new one starts before a conjunction,
+ * preposition or relative pronoun ("I went to the shop | because I needed milk").
+ * Chunks are described by their boundaries: the indexes of the words that
+ * start a chunk, not counting the first word. Boundaries adjusted by the
+ * learner are saved per sentence in localStorage.
+ */
+
+const Chunks = (function() {
+    const STORAGE_KEY = 'shadowing.chunks';
+
+    // Oldest adjusted sentences are forgotten past this many
+    const MAX_SAVED = 500;
+
+    // Automatic breaks never leave a chunk shorter than this
+    const MIN_CHUNK_WORDS = 2;
+
+    // Silence after each chunk: time to repeat it at a learner's pace
+    const GAP_FACTOR = 1.5;
+    const MIN_GAP = 1000;
+
+    // Punctuation that ends a chunk. Full stops inside a sentence are
+    // abbreviations (Mr., e.g.), since Sentences.split() already cut at the real ones
+    const PAUSE_PUNCTUATION = /[,;:!?…—–)]/;
+
+    // Words a new sense group starts with. "to" and "of" are left out:
+    // they bind too tightly ("want to go", "a cup of tea")
+    const CHUNK_STARTERS = new Set([
+        // Conjunctions
+        'and', 'but', 'or', 'nor', 'so', 'yet', 'because', 'although', 'though',
+        'while', 'whereas', 'when', 'whenever', 'if', 'unless', 'until', 'since',
+        'as', 'once', 'than',
+        // Prepositions
+        'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around',
+        'at', 'before', 'behind', 'below', 'beneath', 'beside', 'between', 'beyond',
+        'by', 'despite', 'during', 'except', 'for', 'from', 'in', 'inside', 'into',
+        'near', 'on', 'onto', 'outside', 'over', 'through', 'throughout', 'toward',
+        'towards', 'under', 'upon', 'with', 'within', 'without',
+        // Relative pronouns
+        'who', 'whom', 'whose', 'which', 'that', 'where'
+    ]);
+
+    /**
+     * Find sense-group boundaries in a tokenized sentence
+     * @param {Array<{text, type}>} tokens - Word, punctuation and space tokens
+     *   in order, as rendered in the shadowing display
+     * @returns {Array<number>} Word indexes that start a chunk, ascending
+     */
+    function split(tokens) {
+        const words = [];
+        const afterPunctuation = [];
+
+        tokens.forEach(token => {
+            if (token.type === 'word') {
+                words.push(token.text.toLowerCase());
+                afterPunctuation.push(false);
+            } else if (token.type === 'punctuation' && words.length > 0 && PAUSE_PUNCTUATION.test(token.text)) {
+                afterPunctuation[words.length - 1] = true;
+            }
+        });
+
+        const boundaries = [];
+        let chunkStart = 0;
+        for (let i = 1; i < words.length; i++) {
+            const longEnough = i - chunkStart >= MIN_CHUNK_WORDS && words.length - i >= MIN_CHUNK_WORDS;
+
+            // Punctuation always ends a chunk; starter words only when both sides stay long enough
+            if (afterPunctuation[i - 1] || (CHUNK_STARTERS.has(words[i]) && longEnough)) {
+                boundaries.push(i);
+                chunkStart = i;
+            }
+        }
+        return boundaries;
+    }
+
+    /**
+     * Turn boundaries into word ranges
+     * @param {Array<number>} boundaries - From split() or get()
+     * @param {number} wordCount - Words in the sentence
+     * @returns {Array<{from: number, to: number}>} Inclusive word index ranges
+     */
+    function toRanges(boundaries, wordCount) {
+        if (wordCount === 0) return [];
+
+        const starts = [0, ...boundaries.filter(index => index > 0 && index < wordCount)];
+        return starts.map((from, i) => ({
+            from,
+            to: i + 1 < starts.length ? starts[i + 1] - 1 : wordCount - 1
+        }));
+    }
+
+    /**
+     * Read adjusted boundaries from localStorage
+     * @returns {Object} sentence text -> boundaries
+     */
+    function loadSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Chunks: Could not read saved chunks', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write adjusted boundaries to localStorage
+     */
+    function writeSaved(saved) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Chunks: Could not save chunks', error);
+        }
+    }
+
+    /**
+     * Boundaries for a sentence: the learner's, or the automatic ones
+     * @param {string} sentence - Sentence text
+     * @param {Array} tokens - The sentence's tokens (see split())
+     * @returns {Array<number>}
+     */
+    function get(sentence, tokens) {
+        const wordCount = tokens.filter(token => token.type === 'word').length;
+        const saved = loadSaved()[sentence];
+        if (Array.isArray(saved) && saved.every(index => Number.isInteger(index) && index > 0 && index < wordCount)) {
+            return saved;
+        }
+        return split(tokens);
+    }
+
+    /**
+     * Remember boundaries for a sentence; the automatic ones aren't stored
+     * @param {string} sentence - Sentence text
+     * @param {Array} tokens - The sentence's tokens
+     * @param {Array<number>} boundaries - Word indexes that start a chunk
+     */
+    function save(sentence, tokens, boundaries) {
+        const saved = loadSaved();
+        const sorted = [...new Set(boundaries)].sort((a, b) => a - b);
+        delete saved[sentence];
+
+        if (sorted.join() !== split(tokens).join()) {
+            // Re-inserted last, so the oldest adjustments are dropped first
+            saved[sentence] = sorted;
+            const sentences = Object.keys(saved);
+            sentences.slice(0, Math.max(0, sentences.length - MAX_SAVED)).forEach(key => {
+                delete saved[key];
+            });
+        }
+        writeSaved(saved);
+    }
+
+    /**
+     * Silence after a chunk, long enough to say it back
+     * @param {number} duration - How long the chunk took to speak, in ms
+     * @returns {number} Gap in ms
+     */
+    function getGap(duration) {
+        return Math.max(MIN_GAP, Math.round(duration * GAP_FACTOR));
+    }
+
+    // Public API
+    return {
+        split,
+        toRanges,
+        get,
+        save,
+        getGap
+    };
+})();
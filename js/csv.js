@@ -0,0 +1,322 @@
+/**
+ * Dictionary CSV - Spreadsheet (CSV/TSV) format for dictionary entries
+ *
+ * One row per word; the first row names the columns, in any order:
+ * word, translation, partOfSpeech, prefix, prefixMeaning, root, rootMeaning,
+ * suffix, suffixMeaning, association, family (words separated by ";").
+ * Columns left out of a file leave those fields of existing entries alone.
+ *
+ * Shared with Node (scripts/import-csv.js, scripts/export-csv.js).
+ */
+
+const DictionaryCsv = (function() {
+    // Columns in export order; `breakdown` fields are nested in the entry,
+    // `list` fields are separated by LIST_SEPARATOR in a cell
+    const COLUMNS = [
+        { name: 'word' },
+        { name: 'translation' },
+        { name: 'partOfSpeech' },
+        { name: 'prefix', breakdown: true },
+        { name: 'prefixMeaning', breakdown: true },
+        { name: 'root', breakdown: true },
+        { name: 'rootMeaning', breakdown: true },
+        { name: 'suffix', breakdown: true },
+        { name: 'suffixMeaning', breakdown: true },
+        { name: 'association' },
+        { name: 'family', list: true }
+    ];
+
+    const REQUIRED_COLUMNS = ['word', 'translation'];
+    const LIST_SEPARATOR = ';';
+
+    // Browser global, or required when run under Node
+    const Schema = typeof DictionarySchema !== 'undefined' ? DictionarySchema : require('./schema.js');
+
+    /**
+     * Match a header cell to a column ("Prefix Meaning" -> "prefixMeaning")
+     * @returns {Object|null} Column from COLUMNS
+     */
+    function findColumn(header) {
+        const name = header.toLowerCase().replace(/[\s_-]/g, '');
+        return COLUMNS.find(column => column.name.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Guess the delimiter from the header row: tab if it has one, else comma
+     */
+    function detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        return header.includes('\t') ? '\t' : ',';
+    }
+
+    /**
+     * Split CSV/TSV text into records (RFC 4180 quoting, so cells can hold
+     * delimiters, quotes and line breaks)
+     * @param {string} text - File contents
+     * @param {string} delimiter - ',' or '\t'
+     * @returns {Object} {
+     *   records: Array<{line, cells: string[]}> where line is where the record starts,
+     *   errors: Array<{line, message}>
+     * }
+     */
+    function parse(text, delimiter) {
+        const records = [];
+        const errors = [];
+        const source = text.replace(/^\uFEFF/, '');
+
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            cells.push(cell);
+            records.push({ line: recordLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            recordLine = line;
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRecord();
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            errors.push({ line: recordLine, message: 'quoted cell is never closed' });
+        } else if (cells.length > 0 || cell !== '') {
+            endRecord();
+        }
+
+        return { records, errors };
+    }
+
+    /**
+     * Read a spreadsheet into per-word cell values
+     * @param {string} text - CSV or TSV file contents
+     * @param {Object} [options]
+     * @param {string} [options.delimiter] - Defaults to detectDelimiter(text)
+     * @returns {Object} {
+     *   columns: string[] column names present in the file,
+     *   rows: Array<{line, word, values}> for rows without errors, in file order,
+     *   errors: Array<{line, message}> for skipped rows (line 1 is the header),
+     *   warnings: Array<{line, message}> for rows imported as they are
+     * }
+     */
+    function read(text, options = {}) {
+        const delimiter = options.delimiter || detectDelimiter(text);
+        const { records, errors } = parse(text, delimiter);
+        const result = { columns: [], rows: [], errors, warnings: [] };
+
+        const nonEmpty = records.filter(({ cells }) => cells.some(cell => cell.trim()));
+        if (nonEmpty.length === 0) {
+            result.errors.push({ line: 1, message: 'file is empty' });
+            return result;
+        }
+
+        // Header row: cell position -> column
+        const [header, ...body] = nonEmpty;
+        const positions = header.cells.map(cell => {
+            const column = findColumn(cell.trim());
+            if (!column && cell.trim()) {
+                result.warnings.push({ line: header.line, message: `unknown column "${cell.trim()}" is ignored` });
+            }
+            return column;
+        });
+        result.columns = positions.filter(Boolean).map(column => column.name);
+
+        const missing = REQUIRED_COLUMNS.filter(name => !result.columns.includes(name));
+        if (missing.length > 0) {
+            result.errors.push({
+                line: header.line,
+                message: `missing column${missing.length === 1 ? '' : 's'} ${missing.map(name => `"${name}"`).join(', ')}`
+            });
+            return result;
+        }
+
+        const seen = new Map();
+        body.forEach(({ line, cells }) => {
+            const values = {};
+            positions.forEach((column, i) => {
+                if (column) values[column.name] = (cells[i] || '').trim();
+            });
+
+            const rowErrors = [];
+            const word = Schema.normalizeKey(values.word);
+            if (!values.word) {
+                rowErrors.push('missing "word"');
+            } else if (!word) {
+                rowErrors.push(`"${values.word}" has no letters`);
+            } else if (seen.has(word)) {
+                rowErrors.push(`"${word}" is already on line ${seen.get(word)}`);
+            } else if (word !== values.word) {
+                result.warnings.push({ line, message: `"${values.word}" is imported as "${word}"` });
+            }
+
+            if (cells.length > positions.length && cells.slice(positions.length).some(cell => cell.trim())) {
+                result.warnings.push({ line, message: 'cells after the last column are ignored' });
+            }
+
+            rowErrors.push(...Schema.validateEntry(toEntry(values, result.columns, null)).errors);
+
+            if (rowErrors.length > 0) {
+                rowErrors.forEach(message => result.errors.push({ line, message }));
+                return;
+            }
+
+            seen.set(word, line);
+            result.rows.push({ line, word, values });
+        });
+
+        return result;
+    }
+
+    /**
+     * Build an entry from a row's cells
+     * @param {Object} values - column name -> cell text
+     * @param {string[]} columns - Columns in the file; other fields keep their `existing` value
+     * @param {Object|null} existing - Current entry, or null for a new word
+     * @returns {Object} words.json-style entry
+     */
+    function toEntry(values, columns, existing) {
+        const entry = JSON.parse(JSON.stringify(existing || {}));
+        const breakdown = entry.breakdown || {};
+
+        COLUMNS.forEach(({ name, breakdown: nested, list }) => {
+            if (name === 'word' || !columns.includes(name)) return;
+
+            const text = values[name] || '';
+            const value = list
+                ? text.split(LIST_SEPARATOR).map(w => w.trim()).filter(Boolean)
+                : text;
+            const target = nested ? breakdown : entry;
+
+            if (list ? value.length === 0 : !value) {
+                delete target[name];
+            } else {
+                target[name] = value;
+            }
+        });
+
+        if (Object.keys(breakdown).length > 0) {
+            entry.breakdown = breakdown;
+        } else {
+            delete entry.breakdown;
+        }
+        return entry;
+    }
+
+    /**
+     * Cells of an entry in COLUMNS order
+     */
+    function toCells(word, entry) {
+        const breakdown = entry.breakdown || {};
+        return COLUMNS.map(({ name, breakdown: nested, list }) => {
+            if (name === 'word') return word;
+            const value = nested ? breakdown[name] : entry[name];
+            if (list) return (value || []).join(`${LIST_SEPARATOR} `);
+            return value || '';
+        });
+    }
+
+    /**
+     * Compare read() rows with the current dictionary
+     * @param {Array} rows - read().rows
+     * @param {string[]} columns - read().columns
+     * @param {Function} getEntry - (word) => entry or null
+     * @returns {Array<Object>} { line, word, entry, existing, status, changes } where
+     *   status is 'new', 'changed' or 'unchanged' and changes lists the changed columns
+     */
+    function plan(rows, columns, getEntry) {
+        return rows.map(({ line, word, values }) => {
+            const existing = getEntry(word);
+            const entry = toEntry(values, columns, existing);
+            if (!existing) {
+                return { line, word, entry, existing, status: 'new', changes: [] };
+            }
+
+            const before = toCells(word, existing);
+            const after = toCells(word, entry);
+            const changes = COLUMNS
+                .filter((column, i) => before[i] !== after[i])
+                .map(column => column.name);
+            return { line, word, entry, existing, status: changes.length > 0 ? 'changed' : 'unchanged', changes };
+        });
+    }
+
+    /**
+     * Quote a cell if it holds a delimiter, quote, line break or edge spaces
+     */
+    function escapeCell(cell, delimiter) {
+        const needsQuotes = cell.includes(delimiter) || /["\r\n]/.test(cell) || cell !== cell.trim();
+        return needsQuotes ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }
+
+    /**
+     * Join rows of cells into CSV/TSV text
+     * @param {Array<Array>} rows - Cells are converted to strings
+     * @param {string} [delimiter] - ',' (default) or '\t'
+     * @returns {string}
+     */
+    function formatRows(rows, delimiter = ',') {
+        return rows
+            .map(cells => cells.map(cell => escapeCell(String(cell), delimiter)).join(delimiter))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Write a dictionary as CSV/TSV, one row per word in alphabetical order
+     * @param {Object} data - word -> entry
+     * @param {Object} [options]
+     * @param {string} [options.delimiter] - ',' (default) or '\t'
+     * @returns {string}
+     */
+    function stringify(data, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const rows = [COLUMNS.map(column => column.name)];
+        Object.keys(data).sort().forEach(word => {
+            rows.push(toCells(word, data[word]));
+        });
+        return formatRows(rows, delimiter);
+    }
+
+    // Public API
+    return {
+        COLUMNS,
+        detectDelimiter,
+        parse,
+        read,
+        toEntry,
+        plan,
+        formatRows,
+        stringify
+    };
+})();
+
+// Node (scripts/import-csv.js, scripts/export-csv.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DictionaryCsv;
+}
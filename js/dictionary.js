@@ -1,31 +1,380 @@
 /**
  * Dictionary Module - Word data loading and lookup
+ *
+ * Lookups use the packs listed in data/packs.json (see DictionaryPacks),
+ * higher priority first, with the user's local edits (see WordStore) over all.
+ * Shards of sharded packs are fetched by preload() before a lookup needs them.
  */
 
 const Dictionary = (function() {
+    // Pack id of the user's local edits, which win over every pack
+    const USER_PACK = 'user';
+
     let wordData = {};
     let isLoaded = false;
 
+    // Loaded packs, lowest priority first, and the user's edits (word -> entry)
+    let packs = [];
+    let overlay = {};
+
+    // Ids of packs that failed to load; usingFallback when none loaded
+    let loadStatus = { failedPacks: [], usingFallback: false };
+
+    // Every known key -> id of the pack its entry comes from, loaded or not
+    let owners = new Map();
+
+    // Result of the last schema check, see DictionarySchema.validate()
+    let validationReport = { valid: {}, errors: [], warnings: [] };
+    let skipped = new Set();
+
+    // "type:morpheme" -> [{ word, meaning, translation }], e.g. "root:pract" -> practice
+    let morphemeIndex = new Map();
+
+    // First word -> multi-word entries starting with it, split into words,
+    // longest first, e.g. "take" -> [["take", "care", "of"], ["take", "off"]]
+    let phraseIndex = new Map();
+
+    // Key prefix -> sorted keys, e.g. "pr" -> ["practical", "practice", ...]
+    let prefixIndex = new Map();
+
+    // Every key -> its translation, for search() and suggest()
+    let translations = new Map();
+
+    // Results search() returns when no limit is given
+    const SEARCH_LIMIT = 10;
+
+    const { MORPHEME_TYPES, normalizeMorpheme } = DictionaryPacks;
+
     /**
-     * Load word data from JSON file
+     * Load the packs and the user's edits
      */
     async function load() {
-        try {
-            const response = await fetch('data/words.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        const definitions = await DictionaryPacks.loadRegistry();
+
+        const results = await Promise.all(definitions.map(async definition => {
+            try {
+                const pack = await DictionaryPacks.loadPack(definition);
+                console.log(`Dictionary loaded pack "${pack.id}":`, pack.keys.size, 'words');
+                return pack;
+            } catch (error) {
+                console.error(`Failed to load dictionary pack "${definition.id}":`, error);
+                return null;
             }
-            wordData = await response.json();
-            isLoaded = true;
-            console.log('Dictionary loaded:', Object.keys(wordData).length, 'words');
-            return true;
-        } catch (error) {
-            console.error('Failed to load dictionary:', error);
+        }));
+        packs = results.filter(Boolean);
+        loadStatus = {
+            failedPacks: definitions.filter((definition, i) => !results[i]).map(({ id }) => id),
+            usingFallback: packs.length === 0
+        };
+
+        if (packs.length === 0) {
             // Use embedded fallback data
-            wordData = getFallbackData();
-            isLoaded = true;
-            return true;
+            packs = [DictionaryPacks.createPack({ id: 'base' }, getFallbackData())];
         }
+
+        await loadOverlay();
+        isLoaded = true;
+        return true;
+    }
+
+    /**
+     * Read the user's local edits and merge them over the packs
+     */
+    async function loadOverlay() {
+        overlay = {};
+        const records = await WordStore.getAll();
+        records.forEach(({ word, entry }) => {
+            overlay[word] = entry;
+        });
+        if (records.length > 0) {
+            console.log('Dictionary: Applied', records.length, 'local edits');
+        }
+        rebuild();
+    }
+
+    /**
+     * Fetch the shards holding some words (and their base forms) so lookup()
+     * can find them. Whole-file packs are always loaded, so this is a no-op for them.
+     * @param {string[]} words - Words or phrases as they appear in the text
+     * @returns {Promise<void>}
+     */
+    async function preload(words) {
+        const keys = new Set();
+        words.forEach(word => {
+            const key = normalizeKey(word);
+            if (!key) return;
+            keys.add(key);
+            if (!key.includes(' ')) {
+                Lemmatizer.candidates(key).forEach(candidate => keys.add(candidate));
+            }
+        });
+
+        const requests = [];
+        packs.forEach(pack => {
+            DictionaryPacks.shardsFor(pack, keys).forEach(shardId => {
+                requests.push(DictionaryPacks.loadShard(pack, shardId));
+            });
+        });
+        if (requests.length === 0) return;
+
+        const shardKeys = (await Promise.all(requests)).flat();
+
+        // Another preload may have merged the same shards already
+        mergeKeys(shardKeys.filter(key => !isKnown(key) && !skipped.has(key)));
+    }
+
+    /**
+     * Merge the packs and edits, drop invalid entries, then refresh the indexes
+     * (on load; shard loads and edits go through mergeKeys())
+     */
+    function rebuild() {
+        owners = new Map();
+        packs.forEach(pack => {
+            pack.keys.forEach(key => owners.set(key, pack.id));
+        });
+        Object.keys(overlay).forEach(key => owners.set(key, USER_PACK));
+
+        // Only the winning pack's entry counts, even if a lower pack has the word loaded
+        const merged = {};
+        packs.forEach(pack => {
+            Object.keys(pack.entries).forEach(key => {
+                if (owners.get(key) === pack.id) {
+                    merged[key] = pack.entries[key];
+                }
+            });
+        });
+        Object.assign(merged, overlay);
+
+        validationReport = DictionarySchema.validate(merged, {
+            lemmatize: Lemmatizer.lemmatize,
+            hasEntry: word => owners.has(word)
+        });
+        validationReport.errors.forEach(({ word, message }) => {
+            console.warn(`Dictionary: Skipped "${word}": ${message}`);
+        });
+
+        wordData = validationReport.valid;
+        skipped = new Set(validationReport.errors.map(({ word }) => word));
+        buildMorphemeIndex();
+        buildPhraseIndex();
+        buildSearchIndex();
+    }
+
+    /**
+     * Re-check only some keys (a newly loaded shard, saved or reverted edits)
+     * and update the indexes in place. Other entries keep their family-word
+     * warnings from the last full check.
+     * @param {string[]} keys
+     */
+    function mergeKeys(keys) {
+        const changed = new Set(keys);
+        if (changed.size === 0) return;
+
+        // Keys of a loaded shard are already indexed through their pack's
+        // index; only edits and newly skipped entries change the indexes
+        const indexState = key => `${owners.get(key)}:${skipped.has(key)}`;
+        const before = new Map([...changed].map(key => [key, indexState(key)]));
+
+        changed.forEach(key => {
+            const owner = ownerOf(key);
+            if (owner) {
+                owners.set(key, owner);
+            } else {
+                owners.delete(key);
+            }
+        });
+
+        const entries = {};
+        changed.forEach(key => {
+            const entry = winningEntry(key);
+            if (entry) entries[key] = entry;
+        });
+        const report = DictionarySchema.validate(entries, {
+            lemmatize: Lemmatizer.lemmatize,
+            hasEntry: word => owners.has(word)
+        });
+        report.errors.forEach(({ word, message }) => {
+            console.warn(`Dictionary: Skipped "${word}": ${message}`);
+        });
+
+        const unchanged = ({ word }) => !changed.has(word);
+        validationReport.errors = [...validationReport.errors.filter(unchanged), ...report.errors];
+        validationReport.warnings = [...validationReport.warnings.filter(unchanged), ...report.warnings];
+        changed.forEach(key => {
+            delete wordData[key];
+            skipped.delete(key);
+        });
+        Object.assign(wordData, report.valid);
+        report.errors.forEach(({ word }) => skipped.add(word));
+
+        const moved = new Set([...changed].filter(key =>
+            owners.get(key) === USER_PACK || indexState(key) !== before.get(key)
+        ));
+        updateMorphemeIndex(moved);
+        updatePhraseIndex(moved);
+        updateSearchIndex(moved);
+        changed.forEach(key => {
+            if (translations.has(key)) translations.set(key, translationOf(key));
+        });
+    }
+
+    /**
+     * Id of the pack a key's entry comes from: the user's edits, else the
+     * highest priority pack that has it
+     * @returns {string|null}
+     */
+    function ownerOf(key) {
+        if (Object.prototype.hasOwnProperty.call(overlay, key)) return USER_PACK;
+        const pack = packs.filter(p => p.keys.has(key)).pop();
+        return pack ? pack.id : null;
+    }
+
+    /**
+     * The owner's entry for a key, if it is loaded
+     * @returns {Object|null}
+     */
+    function winningEntry(key) {
+        const owner = owners.get(key);
+        const source = owner === USER_PACK ? overlay : (packs.find(pack => pack.id === owner) || {}).entries;
+        return source && Object.prototype.hasOwnProperty.call(source, key) ? source[key] : null;
+    }
+
+    /**
+     * Keys that can be looked up, including ones in shards not loaded yet
+     */
+    function availableKeys() {
+        return [...owners.keys()].filter(key => !skipped.has(key));
+    }
+
+    /**
+     * Normalize a dictionary key ("  Look  Up " -> "look up")
+     */
+    function normalizeKey(word) {
+        return (word || '').toLowerCase().replace(/[^a-z\s]/g, '').trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Get a copy of a word's raw entry, for editing
+     * @returns {Object|null}
+     */
+    function getEntry(word) {
+        const key = normalizeKey(word);
+        return isKnown(key) ? JSON.parse(JSON.stringify(wordData[key])) : null;
+    }
+
+    /**
+     * Save a new or changed entry to the local overlay
+     * @param {string} word - Dictionary key
+     * @param {Object} entry - words.json-style value
+     * @returns {Promise<string>} The normalized key
+     */
+    async function saveEntry(word, entry) {
+        const key = normalizeKey(word);
+        if (!key) {
+            throw new Error('A word is required');
+        }
+
+        await saveEntries({ [key]: entry });
+        return key;
+    }
+
+    /**
+     * Save several entries to the local overlay at once (e.g. a CSV import).
+     * Nothing is saved if any entry is invalid.
+     * @param {Object} entries - Normalized key -> words.json-style value
+     */
+    async function saveEntries(entries) {
+        Object.entries(entries).forEach(([key, entry]) => {
+            const { errors } = DictionarySchema.validateEntry(entry);
+            if (errors.length > 0) {
+                throw new Error(`Cannot save "${key}": ${errors.join('; ')}`);
+            }
+        });
+
+        for (const [key, entry] of Object.entries(entries)) {
+            await WordStore.put(key, entry);
+            overlay[key] = entry;
+        }
+        mergeKeys(Object.keys(entries));
+    }
+
+    /**
+     * Drop the local edit of a word (shipped entries come back unchanged)
+     */
+    async function revertEntry(word) {
+        const key = normalizeKey(word);
+        await WordStore.remove(key);
+        delete overlay[key];
+        mergeKeys([key]);
+    }
+
+    /**
+     * Check if a word has a local edit
+     */
+    function isEdited(word) {
+        return Object.prototype.hasOwnProperty.call(overlay, normalizeKey(word));
+    }
+
+    /**
+     * Check if a word comes with one of the packs (not only from local edits)
+     */
+    function isShipped(word) {
+        const key = normalizeKey(word);
+        return packs.some(pack => pack.keys.has(key));
+    }
+
+    /**
+     * Which packs could not be loaded
+     * @returns {Object} { failedPacks: string[], usingFallback: boolean } where
+     *   usingFallback means only the built-in sample entry is available
+     */
+    function getLoadStatus() {
+        return { failedPacks: [...loadStatus.failedPacks], usingFallback: loadStatus.usingFallback };
+    }
+
+    /**
+     * Get the schema check of the loaded data
+     * @returns {Object} { errors, warnings } as Array<{word, message}>; errored entries are skipped
+     */
+    function getValidationReport() {
+        return { errors: validationReport.errors, warnings: validationReport.warnings };
+    }
+
+    /**
+     * Every entry of the dictionary as it is used (packs and edits merged),
+     * fetching any shards not loaded yet
+     * @returns {Promise<Object>} word -> entry, sorted by word
+     */
+    async function getAllEntries() {
+        const requests = [];
+        packs.forEach(pack => {
+            if (!pack.manifest) return;
+            Object.keys(pack.manifest.shards).forEach(shardId => {
+                requests.push(DictionaryPacks.loadShard(pack, shardId));
+            });
+        });
+        if (requests.length > 0) {
+            const shardKeys = (await Promise.all(requests)).flat();
+            mergeKeys(shardKeys.filter(key => !isKnown(key) && !skipped.has(key)));
+        }
+
+        const entries = {};
+        Object.keys(wordData).sort().forEach(word => {
+            entries[word] = wordData[word];
+        });
+        return entries;
+    }
+
+    /**
+     * Local edits as a words.json-compatible patch, sorted by word
+     * @returns {Object} word -> entry, ready to merge into words.json
+     */
+    function exportPatch() {
+        const patch = {};
+        Object.keys(overlay).sort().forEach(word => {
+            patch[word] = overlay[word];
+        });
+        return patch;
     }
 
     /**
@@ -47,6 +396,210 @@ const Dictionary = (function() {
         };
     }
 
+    /**
+     * Combine the packs' morpheme indexes into the reverse index from
+     * morphemes to the words that contain them
+     */
+    function buildMorphemeIndex() {
+        morphemeIndex = new Map();
+
+        const sources = packs.map(pack => ({ id: pack.id, morphemes: pack.index.morphemes }));
+        sources.push({ id: USER_PACK, morphemes: DictionaryPacks.buildIndex(overlay).morphemes });
+
+        sources.forEach(({ id, morphemes }) => {
+            Object.entries(morphemes).forEach(([key, items]) => {
+                const owned = items.filter(({ word }) => owners.get(word) === id && !skipped.has(word));
+                if (owned.length === 0) return;
+
+                if (!morphemeIndex.has(key)) {
+                    morphemeIndex.set(key, []);
+                }
+                morphemeIndex.get(key).push(...owned);
+            });
+        });
+
+        morphemeIndex.forEach(items => items.sort((a, b) => a.word.localeCompare(b.word)));
+    }
+
+    /**
+     * Morpheme index items of one key, from its entry or, in an unloaded
+     * shard, from its pack's index
+     * @returns {Object} "type:morpheme" -> [{ word, meaning, translation }]
+     */
+    function morphemesOf(word) {
+        const entry = winningEntry(word);
+        if (entry) return DictionaryPacks.buildIndex({ [word]: entry }).morphemes;
+
+        const pack = packs.find(p => p.id === owners.get(word));
+        const morphemes = {};
+        Object.entries(pack ? pack.index.morphemes : {}).forEach(([key, items]) => {
+            const own = items.filter(item => item.word === word);
+            if (own.length > 0) morphemes[key] = own;
+        });
+        return morphemes;
+    }
+
+    /**
+     * Replace the morpheme index items of some keys
+     * @param {Set<string>} changed
+     */
+    function updateMorphemeIndex(changed) {
+        if (changed.size === 0) return;
+
+        morphemeIndex.forEach((items, key) => {
+            const kept = items.filter(({ word }) => !changed.has(word));
+            if (kept.length === items.length) return;
+            if (kept.length > 0) {
+                morphemeIndex.set(key, kept);
+            } else {
+                morphemeIndex.delete(key);
+            }
+        });
+
+        const touched = new Set();
+        changed.forEach(word => {
+            if (!owners.has(word) || skipped.has(word)) return;
+            Object.entries(morphemesOf(word)).forEach(([key, items]) => {
+                if (!morphemeIndex.has(key)) {
+                    morphemeIndex.set(key, []);
+                }
+                morphemeIndex.get(key).push(...items);
+                touched.add(key);
+            });
+        });
+        touched.forEach(key => morphemeIndex.get(key).sort((a, b) => a.word.localeCompare(b.word)));
+    }
+
+    /**
+     * Group the multi-word entries ("look up", "in order to") by their first word
+     */
+    function buildPhraseIndex() {
+        phraseIndex = new Map();
+        availableKeys()
+            .filter(key => key.includes(' '))
+            .map(key => key.split(' '))
+            .sort((a, b) => b.length - a.length)
+            .forEach(parts => {
+                if (!phraseIndex.has(parts[0])) {
+                    phraseIndex.set(parts[0], []);
+                }
+                phraseIndex.get(parts[0]).push(parts);
+            });
+    }
+
+    /**
+     * Add, drop or keep the phrase entries among some keys
+     * @param {Set<string>} changed
+     */
+    function updatePhraseIndex(changed) {
+        changed.forEach(key => {
+            if (!key.includes(' ')) return;
+
+            const parts = key.split(' ');
+            const list = (phraseIndex.get(parts[0]) || []).filter(phrase => phrase.join(' ') !== key);
+            if (owners.has(key) && !skipped.has(key)) {
+                list.push(parts);
+                list.sort((a, b) => b.length - a.length);
+            }
+            if (list.length > 0) {
+                phraseIndex.set(parts[0], list);
+            } else {
+                phraseIndex.delete(parts[0]);
+            }
+        });
+    }
+
+    /**
+     * Group every key by its prefix and collect translations for search()
+     */
+    function buildSearchIndex() {
+        prefixIndex = new Map();
+        translations = new Map();
+        availableKeys().sort().forEach(key => {
+            const prefix = DictionaryPacks.prefixOf(key);
+            if (!prefixIndex.has(prefix)) {
+                prefixIndex.set(prefix, []);
+            }
+            prefixIndex.get(prefix).push(key);
+            translations.set(key, translationOf(key));
+        });
+    }
+
+    /**
+     * Add, drop or re-translate some keys in the search index
+     * @param {Set<string>} changed
+     */
+    function updateSearchIndex(changed) {
+        changed.forEach(key => {
+            const prefix = DictionaryPacks.prefixOf(key);
+            const list = (prefixIndex.get(prefix) || []).filter(k => k !== key);
+
+            if (owners.has(key) && !skipped.has(key)) {
+                // Keep the group sorted
+                const at = list.findIndex(k => k > key);
+                list.splice(at === -1 ? list.length : at, 0, key);
+                translations.set(key, translationOf(key));
+            } else {
+                translations.delete(key);
+            }
+
+            if (list.length > 0) {
+                prefixIndex.set(prefix, list);
+            } else {
+                prefixIndex.delete(prefix);
+            }
+        });
+    }
+
+    /**
+     * Translation of a key for search(); entries in unloaded shards are
+     * searched through their pack's index
+     */
+    function translationOf(key) {
+        if (isKnown(key)) return wordData[key].translation || '';
+        const pack = packs.find(p => p.id === owners.get(key));
+        return (pack && pack.index.translations && pack.index.translations[key]) || '';
+    }
+
+    /**
+     * Check if a word in the text is a form of a phrase word ("gave" -> "give")
+     */
+    function matchesPhraseWord(word, phraseWord) {
+        return word === phraseWord ||
+            Lemmatizer.lemmatize(word, candidate => candidate === phraseWord) !== null;
+    }
+
+    /**
+     * Find the longest phrase entry at the start of a run of words
+     * @param {string[]} words - Consecutive words from the text
+     * @returns {Object|null} { phrase, length } or null if no phrase starts here
+     */
+    function matchPhrase(words) {
+        const normalized = words.map(w => w.toLowerCase().replace(/[^a-z]/g, ''));
+        if (!normalized[0]) return null;
+
+        // Only phrases starting with a form of the first word ("gave" -> "give ...")
+        const candidates = [normalized[0], ...Lemmatizer.candidates(normalized[0])]
+            .flatMap(form => phraseIndex.get(form) || [])
+            .sort((a, b) => b.length - a.length);
+
+        const parts = candidates.find(parts =>
+            parts.length <= normalized.length &&
+            parts.every((part, i) => i === 0 || matchesPhraseWord(normalized[i], part))
+        );
+        return parts ? { phrase: parts.join(' '), length: parts.length } : null;
+    }
+
+    /**
+     * Get every dictionary word containing a morpheme
+     * @param {string} type - 'prefix', 'root' or 'suffix'
+     * @param {string} morpheme - e.g. "pract-" or "-tion"
+     * @returns {Array<{word: string, meaning: string}>}
+     */
+    function getWordsByMorpheme(type, morpheme) {
+        return morphemeIndex.get(`${type}:${normalizeMorpheme(morpheme)}`) || [];
+    }
+
     /**
      * Look up a word (case-insensitive)
      * @param {string} word - Word to look up
@@ -55,24 +608,29 @@ const Dictionary = (function() {
     function lookup(word) {
         if (!word) return null;
 
-        // Normalize: lowercase, remove punctuation
-        const normalized = word.toLowerCase().replace(/[^a-z]/g, '');
+        // Normalize: lowercase, remove punctuation, single spaces between phrase words
+        const normalized = normalizeKey(word);
 
         // Direct match
-        if (wordData[normalized]) {
+        if (isKnown(normalized)) {
             return {
                 word: normalized,
                 ...wordData[normalized]
             };
         }
 
-        // Try to find base form (simple stemming)
-        const baseForm = getBaseForm(normalized);
-        if (baseForm && wordData[baseForm]) {
+        // Phrases are only matched as written
+        if (normalized.includes(' ')) return null;
+
+        // Reduce inflected and derived forms (saw -> see, studies -> study)
+        const lemma = Lemmatizer.lemmatize(normalized, isKnown);
+        if (lemma) {
             return {
-                word: baseForm,
+                word: lemma.lemma,
                 originalWord: normalized,
-                ...wordData[baseForm]
+                inflection: Lemmatizer.describe(lemma.steps),
+                partOfSpeech: lemma.steps[0].pos,
+                ...wordData[lemma.lemma]
             };
         }
 
@@ -80,167 +638,338 @@ const Dictionary = (function() {
     }
 
     /**
-     * Simple stemming to find base form
+     * Check if a word has its own dictionary entry
+     */
+    function isKnown(word) {
+        return Object.prototype.hasOwnProperty.call(wordData, word);
+    }
+
+    /**
+     * Check if a word exists in dictionary
+     */
+    function has(word) {
+        return lookup(word) !== null;
+    }
+
+    /**
+     * Get all words in dictionary, including ones in shards not loaded yet
+     */
+    function getAllWords() {
+        return availableKeys();
+    }
+
+    /**
+     * Keys starting with a normalized query, using the prefix index
+     */
+    function wordsStartingWith(normalized) {
+        // A one-letter query spans every group starting with that letter
+        const prefix = DictionaryPacks.prefixOf(normalized);
+        const groups = prefix.length < DictionaryPacks.PREFIX_LENGTH
+            ? [...prefixIndex.keys()].filter(key => key.startsWith(prefix)).sort()
+            : [prefix];
+
+        return groups
+            .flatMap(key => prefixIndex.get(key) || [])
+            .filter(word => word.startsWith(normalized));
+    }
+
+    /**
+     * Typo allowance for a query of this length
      */
-    function getBaseForm(word) {
-        // Common suffixes to remove
-        const suffixes = [
-            { suffix: 'ing', minLength: 4 },
-            { suffix: 'ed', minLength: 3 },
-            { suffix: 's', minLength: 3 },
-            { suffix: 'es', minLength: 4 },
-            { suffix: 'er', minLength: 4 },
-            { suffix: 'est', minLength: 5 },
-            { suffix: 'ly', minLength: 4 },
-            { suffix: 'tion', minLength: 5 },
-            { suffix: 'ment', minLength: 5 }
-        ];
+    function maxTypos(length) {
+        if (length <= 2) return 0;
+        if (length <= 4) return 1;
+        if (length <= 7) return 2;
+        return 3;
+    }
 
-        for (const { suffix, minLength } of suffixes) {
-            if (word.length >= minLength && word.endsWith(suffix)) {
-                const base = word.slice(0, -suffix.length);
+    /**
+     * Edit distance with adjacent swaps counted as one edit ("pratcice" -> "practice" is 1)
+     * @param {number} max - Stop early and return max + 1 once the distance is over this
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
 
-                // Check if base exists in dictionary
-                if (wordData[base]) {
-                    return base;
+        let previous = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const next = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+                if (previous && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previous[j - 2] + 1);
                 }
+                next.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previous = row;
+            row = next;
+        }
+        return row[b.length];
+    }
 
-                // Handle doubling (running -> run)
-                if (base.length >= 2 && base[base.length - 1] === base[base.length - 2]) {
-                    const undoubled = base.slice(0, -1);
-                    if (wordData[undoubled]) {
-                        return undoubled;
-                    }
+    /**
+     * Search words, typo-tolerant, or translations when the query isn't English
+     * @param {string} query - e.g. "pract", "pratice" or "練習"
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum results (default SEARCH_LIMIT)
+     * @returns {Array<{word, translation, match}>} Best first; match is 'exact',
+     *   'prefix', 'contains', 'similar' (within a few typos) or 'translation'
+     */
+    function search(query, { limit = SEARCH_LIMIT } = {}) {
+        const text = (query || '').trim();
+        if (!text) return [];
+
+        // rank orders the match kinds, then `order` breaks ties within a kind
+        const results = [];
+        if (/[^\x00-\x7f]/.test(text)) {
+            translations.forEach((translation, word) => {
+                const senses = translation.split(/[、，,；;／/（）()\s]+/).filter(Boolean);
+                let rank = -1;
+                if (senses.includes(text)) rank = 0;
+                else if (senses.some(sense => sense.startsWith(text))) rank = 1;
+                else if (translation.includes(text)) rank = 2;
+                if (rank >= 0) {
+                    results.push({ word, match: 'translation', rank, order: translation.length });
                 }
+            });
+        } else {
+            const normalized = normalizeKey(text);
+            if (!normalized) return [];
+
+            const found = new Set();
+            wordsStartingWith(normalized).forEach(word => {
+                found.add(word);
+                results.push(word === normalized
+                    ? { word, match: 'exact', rank: 0, order: 0 }
+                    : { word, match: 'prefix', rank: 1, order: word.length });
+            });
+
+            const max = maxTypos(normalized.length);
+            translations.forEach((translation, word) => {
+                if (found.has(word)) return;
 
-                // Handle e-dropping (practicing -> practice)
-                const withE = base + 'e';
-                if (wordData[withE]) {
-                    return withE;
+                if (normalized.length >= 2 && word.includes(normalized)) {
+                    results.push({ word, match: 'contains', rank: 2, order: word.indexOf(normalized) });
+                    return;
                 }
-            }
+
+                // Whole word, or the start of a longer word while still typing
+                let distance = editDistance(normalized, word, max);
+                if (normalized.length >= 4 && word.length > normalized.length) {
+                    distance = Math.min(distance, editDistance(normalized, word.slice(0, normalized.length), max));
+                }
+                if (distance <= max) {
+                    results.push({ word, match: 'similar', rank: 3 + distance, order: Math.abs(word.length - normalized.length) });
+                }
+            });
         }
 
-        return null;
+        return results
+            .sort((a, b) => a.rank - b.rank || a.order - b.order || a.word.localeCompare(b.word))
+            .slice(0, limit)
+            .map(({ word, match }) => ({ word, translation: translations.get(word), match }));
     }
 
     /**
-     * Check if a word exists in dictionary
+     * Nearest dictionary words to a word that has no entry ("did you mean")
+     * @param {string} word - Word as clicked or typed
+     * @param {number} [limit=3]
+     * @returns {string[]} Closest first
      */
-    function has(word) {
-        return lookup(word) !== null;
+    function suggest(word, limit = 3) {
+        const normalized = normalizeKey(word);
+        if (!normalized) return [];
+
+        const max = maxTypos(normalized.length);
+        const close = [];
+        translations.forEach((translation, key) => {
+            if (key === normalized) return;
+            const distance = editDistance(normalized, key, max);
+            if (distance <= max) {
+                close.push({ key, distance });
+            }
+        });
+
+        return close
+            .sort((a, b) => a.distance - b.distance ||
+                Math.abs(a.key.length - normalized.length) - Math.abs(b.key.length - normalized.length) ||
+                a.key.localeCompare(b.key))
+            .slice(0, limit)
+            .map(({ key }) => key);
     }
 
     /**
-     * Get all words in dictionary
+     * Build a labelled row of a card
+     * @param {string} label - Row label
+     * @param {string} valueClass - Extra class for the value container
+     * @param {...*} children - Row content, as for Dom.el()
      */
-    function getAllWords() {
-        return Object.keys(wordData);
+    function infoRow(label, valueClass, ...children) {
+        const { el } = Dom;
+        return el('div', { className: 'info-row' },
+            el('span', { className: 'info-label' }, label),
+            el('div', { className: `info-value ${valueClass}`.trim() }, ...children)
+        );
     }
 
     /**
-     * Search words by partial match
+     * Build a clickable word chip (family words, phrase components)
      */
-    function search(query) {
-        if (!query) return [];
-        const normalized = query.toLowerCase();
-        return Object.keys(wordData).filter(word =>
-            word.includes(normalized)
+    function wordChip(word) {
+        return Dom.el('span', { className: 'family-word', dataset: { word } }, word);
+    }
+
+    /**
+     * Build the view for a word that has no entry
+     * @param {string} [word] - Word the user clicked
+     * @returns {HTMLElement}
+     */
+    function renderNotFound(word) {
+        const { el } = Dom;
+        const suggestions = word ? suggest(word) : [];
+        return el('div', { className: 'not-found' },
+            word ? el('p', { className: 'word-display' }, word) : null,
+            el('p', {}, word ? 'This word is not in the dictionary yet.' : 'Word not found in dictionary'),
+            suggestions.length > 0
+                ? el('div', { className: 'did-you-mean word-family' },
+                    el('span', { className: 'did-you-mean-label' }, 'Did you mean'),
+                    suggestions.map(wordChip)
+                )
+                : null
         );
     }
 
     /**
-     * Generate HTML for word info display
+     * Build the card for a word
+     * @param {Object|null} wordInfo - Result of lookup() or Morphology.analyze()
+     * @returns {HTMLElement}
      */
     function renderWordInfo(wordInfo) {
         if (!wordInfo) {
-            return '<div class="not-found"><p>Word not found in dictionary</p></div>';
+            return renderNotFound();
         }
 
-        const { word, translation, breakdown, association, family, originalWord } = wordInfo;
+        const { el } = Dom;
+        const {
+            word, translation, breakdown, association, family, originalWord, autoAnalysed,
+            inflection, partOfSpeech
+        } = wordInfo;
 
-        let breakdownHtml = '';
+        let morphemes = [];
         if (breakdown) {
-            const parts = [];
-            if (breakdown.prefix) {
-                parts.push(`
-                    <div class="breakdown-item">
-                        <span class="part">${breakdown.prefix}</span>
-                        <span class="meaning">${breakdown.prefixMeaning}</span>
-                    </div>
-                `);
-            }
-            if (breakdown.root) {
-                parts.push(`
-                    <div class="breakdown-item">
-                        <span class="part">${breakdown.root}</span>
-                        <span class="meaning">${breakdown.rootMeaning}</span>
-                    </div>
-                `);
-            }
-            if (breakdown.suffix) {
-                parts.push(`
-                    <div class="breakdown-item">
-                        <span class="part">${breakdown.suffix}</span>
-                        <span class="meaning">${breakdown.suffixMeaning}</span>
-                    </div>
-                `);
-            }
-            breakdownHtml = parts.join('');
+            morphemes = MORPHEME_TYPES
+                .filter(({ field }) => breakdown[field])
+                .map(({ type, field, meaningField }) => {
+                    const count = getWordsByMorpheme(type, breakdown[field]).length;
+                    return el('div', {
+                        className: 'breakdown-item morpheme',
+                        title: `Show all words with this ${type}`,
+                        dataset: { type, morpheme: breakdown[field] }
+                    },
+                        el('span', { className: 'part' }, breakdown[field]),
+                        el('span', { className: 'meaning' }, breakdown[meaningField]),
+                        el('span', { className: 'morpheme-count' }, `${count} word${count === 1 ? '' : 's'}`)
+                    );
+                });
         }
 
-        let familyHtml = '';
-        if (family && family.length > 0) {
-            familyHtml = family.map(w =>
-                `<span class="family-word" data-word="${w}">${w}</span>`
-            ).join('');
+        // Phrase entries: each component word can be opened on its own
+        const components = [];
+        if (word.includes(' ')) {
+            word.split(' ').forEach((w, i) => {
+                if (i > 0) components.push(el('span', { className: 'phrase-plus' }, '+'));
+                components.push(wordChip(w));
+            });
         }
 
         const displayWord = originalWord || word;
 
-        return `
-            <div class="word-info">
-                <div class="word-title">
-                    <span>${displayWord}</span>
-                    <button class="play-word" data-word="${displayWord}" title="Play pronunciation">&#9658;</button>
-                </div>
-
-                <div class="info-row">
-                    <span class="info-label">Translation</span>
-                    <span class="info-value">${translation || 'N/A'}</span>
-                </div>
-
-                ${breakdownHtml ? `
-                <div class="info-row">
-                    <span class="info-label">Breakdown</span>
-                    <div class="info-value breakdown-detail">${breakdownHtml}</div>
-                </div>
-                ` : ''}
-
-                ${association ? `
-                <div class="info-row">
-                    <span class="info-label">Association</span>
-                    <span class="info-value">${association}</span>
-                </div>
-                ` : ''}
-
-                ${familyHtml ? `
-                <div class="info-row">
-                    <span class="info-label">Family</span>
-                    <div class="info-value word-family">${familyHtml}</div>
-                </div>
-                ` : ''}
-            </div>
-        `;
+        return el('div', { className: 'word-info' },
+            el('div', { className: 'word-title' },
+                el('span', {}, displayWord),
+                el('button', {
+                    className: 'play-word',
+                    title: 'Play pronunciation',
+                    dataset: { word: displayWord }
+                }, '\u25BA'),
+                partOfSpeech && !inflection ? el('span', { className: 'part-of-speech' }, partOfSpeech) : null,
+                autoAnalysed ? el('span', { className: 'auto-badge' }, 'Auto-analysed') : null
+            ),
+
+            inflection ? infoRow('Form', '',
+                inflection,
+                el('span', { className: 'part-of-speech' }, partOfSpeech)
+            ) : null,
+
+            autoAnalysed
+                ? el('p', { className: 'auto-note' },
+                    'Not in the dictionary yet. This breakdown is guessed from common prefixes, suffixes and roots.')
+                : infoRow('Translation', '', translation || 'N/A'),
+
+            components.length > 0 ? infoRow('Words', 'word-family', components) : null,
+            morphemes.length > 0 ? infoRow('Breakdown', 'breakdown-detail', morphemes) : null,
+            association ? infoRow('Association', '', association) : null,
+            family && family.length > 0 ? infoRow('Family', 'word-family', family.map(wordChip)) : null
+        );
+    }
+
+    /**
+     * Build the panel of words sharing a morpheme
+     * @param {string} type - 'prefix', 'root' or 'suffix'
+     * @param {string} morpheme - Morpheme as written in the breakdown
+     * @returns {HTMLElement}
+     */
+    function renderMorpheme(type, morpheme) {
+        const { el } = Dom;
+        const entries = getWordsByMorpheme(type, morpheme);
+
+        // Meanings can be worded differently per entry; list each once
+        const meanings = [...new Set(entries.map(e => e.meaning).filter(Boolean))];
+
+        const words = entries.map(({ word, translation }) =>
+            el('div', { className: 'morpheme-word', dataset: { word } },
+                el('span', { className: 'morpheme-word-text' }, word),
+                el('span', { className: 'morpheme-word-translation' }, translation)
+            )
+        );
+
+        return el('div', { className: 'word-info morpheme-panel' },
+            el('div', { className: 'word-title' },
+                el('span', {}, morpheme),
+                el('span', { className: 'morpheme-type' }, type)
+            ),
+            meanings.length > 0 ? infoRow('Meaning', '', meanings.join(' / ')) : null,
+            infoRow(`Words (${entries.length})`, 'morpheme-words', words)
+        );
     }
 
     // Public API
     return {
         load,
+        preload,
         lookup,
         has,
         getAllWords,
         search,
-        renderWordInfo
+        suggest,
+        getWordsByMorpheme,
+        matchPhrase,
+        getEntry,
+        saveEntry,
+        saveEntries,
+        revertEntry,
+        isEdited,
+        isShipped,
+        exportPatch,
+        getAllEntries,
+        getValidationReport,
+        getLoadStatus,
+        renderNotFound,
+        renderWordInfo,
+        renderMorpheme
     };
 })();
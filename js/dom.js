@@ -0,0 +1,53 @@
+/**
+ * DOM Helper - Build elements without parsing HTML
+ *
+ * Text goes in as text nodes and attributes as properties, so dictionary
+ * data and user input can never become markup or run scripts.
+ */
+
+const Dom = (function() {
+    /**
+     * Create an element
+     * @param {string} tag - Tag name
+     * @param {Object} [props] - Properties such as className or title; `dataset` is merged
+     * @param {...(Node|string|number|Array|null|false)} children - Strings become text;
+     *   null, undefined and false are skipped, arrays are flattened
+     * @returns {HTMLElement}
+     *
+     * @example
+     * Dom.el('span', { className: 'family-word', dataset: { word } }, word)
+     */
+    function el(tag, props = {}, ...children) {
+        const element = document.createElement(tag);
+
+        Object.entries(props).forEach(([key, value]) => {
+            if (key === 'dataset') {
+                Object.entries(value).forEach(([name, data]) => {
+                    element.dataset[name] = String(data);
+                });
+            } else {
+                element[key] = value;
+            }
+        });
+
+        append(element, children);
+        return element;
+    }
+
+    /**
+     * Append children the way el() does
+     */
+    function append(parent, children) {
+        children.flat(Infinity).forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            parent.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+        });
+        return parent;
+    }
+
+    // Public API
+    return {
+        el,
+        append
+    };
+})();
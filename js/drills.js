@@ -0,0 +1,106 @@
+/**
+ * Drills Module - Dictation and cloze listening drills
+ *
+ * Both drills grade answers as Scoring-style alignment ops, so they share
+ * Scoring.summarize() and the word marks of the shadowing display.
+ */
+
+const Drills = (function() {
+    // Share of the words blanked in random cloze
+    const CLOZE_SHARE = 0.25;
+
+    // Random blanks skip words shorter than this (a, to, is...)
+    const MIN_BLANK_LENGTH = 3;
+
+    // Words replayed on each side of a mistake
+    const REPLAY_CONTEXT = 2;
+
+    /**
+     * Choose the words to blank in a cloze sentence
+     * @param {Array<string>} words - Words of the sentence
+     * @param {Object} options
+     * @param {string} options.source - 'dictionary' (words the dictionary knows) or 'random'
+     * @param {Function} [options.isKnown] - (word) => boolean, for the dictionary source
+     * @param {number} [options.share] - Share of the words blanked by the random source
+     * @returns {Array<number>} Word indexes in order; a sentence without dictionary
+     *   words gets random blanks, and every non-empty sentence gets at least one
+     */
+    function pickBlanks(words, { source, isKnown, share = CLOZE_SHARE }) {
+        if (source === 'dictionary') {
+            const known = words.map((word, i) => i).filter(i => isKnown(words[i]));
+            if (known.length > 0) return known;
+        }
+
+        let candidates = words.map((word, i) => i).filter(i => words[i].length >= MIN_BLANK_LENGTH);
+        if (candidates.length === 0) {
+            candidates = words.map((word, i) => i);
+        }
+
+        // Partial Fisher-Yates shuffle for the first `count` picks
+        const count = Math.min(candidates.length, Math.max(1, Math.round(words.length * share)));
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(Math.random() * (candidates.length - i));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+        return candidates.slice(0, count).sort((a, b) => a - b);
+    }
+
+    /**
+     * Grade cloze answers
+     * @param {Array<string>} words - Words of the sentence
+     * @param {Array<number>} blanks - Blanked word indexes
+     * @param {Array<string>} answers - What was typed in each blank
+     * @returns {Array<Object>} One op per blank, as from Scoring.align(): 'correct',
+     *   'substituted' (wrong word) or 'missing' (left empty)
+     */
+    function checkBlanks(words, blanks, answers) {
+        return blanks.map((index, i) => {
+            const answer = (answers[i] || '').trim();
+            let type = 'missing';
+            if (answer) {
+                type = Scoring.normalizeWord(answer) === Scoring.normalizeWord(words[index])
+                    ? 'correct'
+                    : 'substituted';
+            }
+            return { type, refIndex: index, ref: words[index], hyp: answer || null };
+        });
+    }
+
+    /**
+     * Word ranges around the mistakes of a graded sentence, for replaying
+     * @param {Array<Object>} ops - Scoring.align() or checkBlanks() ops
+     * @param {number} wordCount - Words in the sentence
+     * @param {number} [context] - Words to include on each side
+     * @returns {Array<{from: number, to: number}>} Inclusive word index ranges,
+     *   overlapping ones merged, in order
+     */
+    function mistakeRanges(ops, wordCount, context = REPLAY_CONTEXT) {
+        const ranges = [];
+        if (wordCount === 0) return ranges;
+
+        ops.forEach(op => {
+            if (op.type === 'correct') return;
+
+            // An extra word sits after refIndex (-1 when before the first word)
+            const index = Math.min(Math.max(op.refIndex, 0), wordCount - 1);
+            const from = Math.max(0, index - context);
+            const to = Math.min(wordCount - 1, index + context + (op.type === 'inserted' ? 1 : 0));
+
+            const last = ranges[ranges.length - 1];
+            if (last && from <= last.to + 1) {
+                last.to = Math.max(last.to, to);
+            } else {
+                ranges.push({ from, to });
+            }
+        });
+
+        return ranges;
+    }
+
+    // Public API
+    return {
+        pickBlanks,
+        checkBlanks,
+        mistakeRanges
+    };
+})();
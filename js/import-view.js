@@ -0,0 +1,141 @@
+/**
+ * Import View - Preview and import a CSV/TSV spreadsheet into the dictionary
+ *
+ * Rows are checked with DictionaryCsv.read() and compared with the current
+ * dictionary; imported entries go to the local overlay like editor saves.
+ */
+
+const ImportView = (function() {
+    const STATUS_LABELS = {
+        new: 'New',
+        changed: 'Changed',
+        unchanged: 'Unchanged'
+    };
+
+    /**
+     * Build the preview for a file
+     * @param {string} fileName - Shown in the title
+     * @param {string} text - File contents
+     * @param {Object} options
+     * @param {Function} options.onImport - (count) => void, after entries are saved
+     * @param {Function} options.onCancel - () => void
+     * @returns {Promise<HTMLElement>}
+     */
+    async function create(fileName, text, { onImport, onCancel }) {
+        const { el } = Dom;
+        const report = DictionaryCsv.read(text);
+
+        // Existing entries may live in shards that are not loaded yet
+        await Dictionary.preload(report.rows.map(row => row.word));
+        const items = DictionaryCsv.plan(report.rows, report.columns, Dictionary.getEntry);
+
+        const counts = { new: 0, changed: 0, unchanged: 0 };
+        items.forEach(item => counts[item.status]++);
+
+        // Changed rows replace the current entry only when ticked
+        const replaceBoxes = new Map();
+        const rows = items.map(item => {
+            let resolution = null;
+            if (item.status === 'changed') {
+                const box = el('input', { type: 'checkbox', title: 'Replace the current entry' });
+                replaceBoxes.set(item, box);
+                resolution = el('label', { className: 'csv-import-replace' }, box, ' Replace');
+            }
+
+            return el('tr', { className: `csv-import-${item.status}` },
+                el('td', {}, item.line),
+                el('td', {}, item.word),
+                el('td', {}, item.entry.translation || ''),
+                el('td', {},
+                    STATUS_LABELS[item.status],
+                    item.changes.length > 0 ? el('span', { className: 'hint' }, ` (${item.changes.join(', ')})`) : null
+                ),
+                el('td', {}, resolution)
+            );
+        });
+
+        const issues = [
+            ...report.errors.map(issue => ({ ...issue, level: 'error' })),
+            ...report.warnings.map(issue => ({ ...issue, level: 'warning' }))
+        ].sort((a, b) => a.line - b.line);
+
+        const status = el('p', { className: 'word-editor-status' });
+        const importButton = el('button', { type: 'button', className: 'btn btn-primary btn-small' });
+
+        const toImport = () => items.filter(item =>
+            item.status === 'new' || (item.status === 'changed' && replaceBoxes.get(item).checked)
+        );
+        const updateButton = () => {
+            const count = toImport().length;
+            importButton.textContent = `Import ${count} entr${count === 1 ? 'y' : 'ies'}`;
+            importButton.disabled = count === 0;
+        };
+
+        const setAll = checked => {
+            replaceBoxes.forEach(box => { box.checked = checked; });
+            updateButton();
+        };
+
+        importButton.addEventListener('click', async () => {
+            const entries = {};
+            toImport().forEach(item => { entries[item.word] = item.entry; });
+
+            importButton.disabled = true;
+            try {
+                await Dictionary.saveEntries(entries);
+                onImport(Object.keys(entries).length);
+            } catch (error) {
+                status.textContent = error.message;
+                importButton.disabled = false;
+            }
+        });
+
+        const cancelButton = el('button', { type: 'button', className: 'btn btn-small' }, 'Cancel');
+        cancelButton.addEventListener('click', onCancel);
+
+        const view = el('div', { className: 'csv-import' },
+            el('h3', {}, `Import "${fileName}"`),
+            el('p', { className: 'csv-import-summary' },
+                `${counts.new} new, ${counts.changed} changed, ${counts.unchanged} unchanged, ` +
+                `${report.errors.length} error${report.errors.length === 1 ? '' : 's'}`
+            ),
+
+            issues.length > 0
+                ? el('ul', { className: 'csv-import-issues' }, issues.map(({ line, message, level }) =>
+                    el('li', { className: `csv-import-${level}` }, `Line ${line}: ${message}`)
+                ))
+                : null,
+
+            counts.changed > 0
+                ? el('div', { className: 'csv-import-conflicts' },
+                    el('span', {}, `${counts.changed} word${counts.changed === 1 ? '' : 's'} already in the dictionary differ:`),
+                    el('button', { type: 'button', className: 'btn btn-small btn-outline', onclick: () => setAll(true) }, 'Replace all'),
+                    el('button', { type: 'button', className: 'btn btn-small btn-outline', onclick: () => setAll(false) }, 'Keep all')
+                )
+                : null,
+
+            rows.length > 0
+                ? el('div', { className: 'csv-import-table-wrap' },
+                    el('table', { className: 'csv-import-table' },
+                        el('thead', {}, el('tr', {},
+                            ['Line', 'Word', 'Translation', 'Status', ''].map(heading => el('th', {}, heading))
+                        )),
+                        el('tbody', {}, rows)
+                    )
+                )
+                : null,
+
+            el('div', { className: 'word-editor-actions' }, importButton, cancelButton),
+            status
+        );
+
+        view.addEventListener('change', updateButton);
+        updateButton();
+        return view;
+    }
+
+    // Public API
+    return {
+        create
+    };
+})();
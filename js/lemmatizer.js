@@ -0,0 +1,248 @@
+/**
+ * Lemmatizer Module - Reduce inflected and derived forms to a dictionary word
+ *
+ * Handles irregular forms ("saw" -> "see", "children" -> "child"), spelling
+ * rules (y -> i, doubled consonants, silent -e) and chains of suffixes
+ * ("practically" -> "practical" -> "practice"). Each step records what kind
+ * of form it undid, so the card can say "past tense of see".
+ */
+
+const Lemmatizer = (function() {
+    // Most steps followed when reducing a word
+    const MAX_STEPS = 3;
+
+    // Shortest base a suffix rule may leave
+    const MIN_BASE_LENGTH = 3;
+
+    // base -> [past tense, past participle]
+    const IRREGULAR_VERBS = {
+        be: ['was', 'been'], become: ['became', 'become'], begin: ['began', 'begun'],
+        bite: ['bit', 'bitten'], blow: ['blew', 'blown'], break: ['broke', 'broken'],
+        bring: ['brought', 'brought'], build: ['built', 'built'], buy: ['bought', 'bought'],
+        catch: ['caught', 'caught'], choose: ['chose', 'chosen'], come: ['came', 'come'],
+        cost: ['cost', 'cost'], cut: ['cut', 'cut'], deal: ['dealt', 'dealt'],
+        do: ['did', 'done'], draw: ['drew', 'drawn'], dream: ['dreamt', 'dreamt'],
+        drink: ['drank', 'drunk'], drive: ['drove', 'driven'], eat: ['ate', 'eaten'],
+        fall: ['fell', 'fallen'], feed: ['fed', 'fed'], feel: ['felt', 'felt'],
+        fight: ['fought', 'fought'], find: ['found', 'found'], fly: ['flew', 'flown'],
+        forget: ['forgot', 'forgotten'], forgive: ['forgave', 'forgiven'], freeze: ['froze', 'frozen'],
+        get: ['got', 'gotten'], give: ['gave', 'given'], go: ['went', 'gone'],
+        grow: ['grew', 'grown'], hang: ['hung', 'hung'], have: ['had', 'had'],
+        hear: ['heard', 'heard'], hide: ['hid', 'hidden'], hit: ['hit', 'hit'],
+        hold: ['held', 'held'], hurt: ['hurt', 'hurt'], keep: ['kept', 'kept'],
+        know: ['knew', 'known'], lay: ['laid', 'laid'], lead: ['led', 'led'],
+        learn: ['learnt', 'learnt'], leave: ['left', 'left'], lend: ['lent', 'lent'],
+        let: ['let', 'let'], lie: ['lay', 'lain'], lose: ['lost', 'lost'],
+        make: ['made', 'made'], mean: ['meant', 'meant'], meet: ['met', 'met'],
+        pay: ['paid', 'paid'], put: ['put', 'put'], read: ['read', 'read'],
+        ride: ['rode', 'ridden'], ring: ['rang', 'rung'], rise: ['rose', 'risen'],
+        run: ['ran', 'run'], say: ['said', 'said'], see: ['saw', 'seen'],
+        seek: ['sought', 'sought'], sell: ['sold', 'sold'], send: ['sent', 'sent'],
+        set: ['set', 'set'], shake: ['shook', 'shaken'], shine: ['shone', 'shone'],
+        shoot: ['shot', 'shot'], show: ['showed', 'shown'], shut: ['shut', 'shut'],
+        sing: ['sang', 'sung'], sink: ['sank', 'sunk'], sit: ['sat', 'sat'],
+        sleep: ['slept', 'slept'], speak: ['spoke', 'spoken'], spend: ['spent', 'spent'],
+        stand: ['stood', 'stood'], steal: ['stole', 'stolen'], stick: ['stuck', 'stuck'],
+        strike: ['struck', 'struck'], swim: ['swam', 'swum'], take: ['took', 'taken'],
+        teach: ['taught', 'taught'], tear: ['tore', 'torn'], tell: ['told', 'told'],
+        think: ['thought', 'thought'], throw: ['threw', 'thrown'], understand: ['understood', 'understood'],
+        wake: ['woke', 'woken'], wear: ['wore', 'worn'], win: ['won', 'won'],
+        write: ['wrote', 'written']
+    };
+
+    // singular -> plural
+    const IRREGULAR_PLURALS = {
+        child: 'children', foot: 'feet', goose: 'geese', knife: 'knives',
+        leaf: 'leaves', life: 'lives', man: 'men', mouse: 'mice',
+        person: 'people', tooth: 'teeth', wife: 'wives', woman: 'women',
+        analysis: 'analyses', crisis: 'crises', phenomenon: 'phenomena', criterion: 'criteria'
+    };
+
+    // base -> [comparative, superlative]
+    const IRREGULAR_COMPARISONS = {
+        good: ['better', 'best'], bad: ['worse', 'worst'], far: ['farther', 'farthest'],
+        little: ['less', 'least'], many: ['more', 'most']
+    };
+
+    // Other irregular forms not covered by the tables above
+    const EXTRA_FORMS = {
+        am: { base: 'be', label: 'present tense', pos: 'verb' },
+        is: { base: 'be', label: 'third-person singular', pos: 'verb' },
+        are: { base: 'be', label: 'present tense', pos: 'verb' },
+        were: { base: 'be', label: 'past tense', pos: 'verb' },
+        has: { base: 'have', label: 'third-person singular', pos: 'verb' },
+        does: { base: 'do', label: 'third-person singular', pos: 'verb' },
+        further: { base: 'far', label: 'comparative', pos: 'adjective' },
+        furthest: { base: 'far', label: 'superlative', pos: 'adjective' }
+    };
+
+    /**
+     * Suffix rules, tried in order. `bases` are the endings to put back,
+     * `undouble` also tries the base without a doubled final consonant.
+     */
+    const SUFFIX_RULES = [
+        // Inflections
+        { suffix: 'ies', bases: ['y'], label: 'plural or third-person form', pos: 'noun/verb' },
+        { suffix: 'ves', bases: ['f', 'fe'], label: 'plural', pos: 'noun' },
+        { suffix: 'es', bases: [''], label: 'plural or third-person form', pos: 'noun/verb' },
+        { suffix: 's', bases: [''], label: 'plural or third-person form', pos: 'noun/verb', unless: /(ss|us|is)$/ },
+        { suffix: 'ied', bases: ['y'], label: 'past tense', pos: 'verb' },
+        { suffix: 'ed', bases: ['', 'e'], undouble: true, label: 'past tense', pos: 'verb' },
+        { suffix: 'ying', bases: ['ie', 'y'], label: 'present participle', pos: 'verb' },
+        { suffix: 'ing', bases: ['', 'e'], undouble: true, label: 'present participle', pos: 'verb' },
+        { suffix: 'ier', bases: ['y'], label: 'comparative', pos: 'adjective' },
+        { suffix: 'iest', bases: ['y'], label: 'superlative', pos: 'adjective' },
+        { suffix: 'er', bases: ['', 'e'], undouble: true, label: 'comparative or agent noun', pos: 'adjective/noun' },
+        { suffix: 'est', bases: ['', 'e'], undouble: true, label: 'superlative', pos: 'adjective' },
+
+        // Derivations
+        { suffix: 'ily', bases: ['y'], label: 'adverb form', pos: 'adverb' },
+        { suffix: 'ly', bases: ['', 'le'], label: 'adverb form', pos: 'adverb' },
+        { suffix: 'iness', bases: ['y'], label: 'noun form', pos: 'noun' },
+        { suffix: 'ness', bases: [''], label: 'noun form', pos: 'noun' },
+        { suffix: 'ment', bases: [''], label: 'noun form', pos: 'noun' },
+        { suffix: 'ation', bases: ['ate', 'e', ''], label: 'noun form', pos: 'noun' },
+        { suffix: 'ical', bases: ['ic', 'ice', 'y'], label: 'adjective form', pos: 'adjective' },
+        { suffix: 'al', bases: ['', 'e'], label: 'adjective form', pos: 'adjective' }
+    ];
+
+    // Inflected form -> { base, label, pos }
+    const irregularForms = buildIrregularForms();
+
+    /**
+     * Turn the base-first irregular tables into a form-first lookup
+     */
+    function buildIrregularForms() {
+        const forms = new Map();
+        const addForm = (form, base, label, pos) => {
+            if (form !== base && !forms.has(form)) {
+                forms.set(form, { base, label, pos });
+            }
+        };
+
+        Object.entries(IRREGULAR_VERBS).forEach(([base, [past, participle]]) => {
+            addForm(past, base, past === participle ? 'past tense / past participle' : 'past tense', 'verb');
+            addForm(participle, base, 'past participle', 'verb');
+        });
+        Object.entries(IRREGULAR_PLURALS).forEach(([base, plural]) => {
+            addForm(plural, base, 'plural', 'noun');
+        });
+        Object.entries(IRREGULAR_COMPARISONS).forEach(([base, [comparative, superlative]]) => {
+            addForm(comparative, base, 'comparative', 'adjective');
+            addForm(superlative, base, 'superlative', 'adjective');
+        });
+        Object.entries(EXTRA_FORMS).forEach(([form, { base, label, pos }]) => {
+            addForm(form, base, label, pos);
+        });
+        return forms;
+    }
+
+    /**
+     * Every base one step away from a word
+     * @returns {Array<{from, to, label, pos}>}
+     */
+    function reduceOnce(word) {
+        const steps = [];
+
+        const irregular = irregularForms.get(word);
+        if (irregular) {
+            steps.push({ from: word, to: irregular.base, label: irregular.label, pos: irregular.pos });
+        }
+
+        SUFFIX_RULES.forEach(({ suffix, bases, undouble, label, pos, unless }) => {
+            if (!word.endsWith(suffix) || (unless && unless.test(word))) return;
+
+            const stem = word.slice(0, -suffix.length);
+            const candidates = bases.map(ending => stem + ending);
+            const last = stem[stem.length - 1];
+            if (undouble && last === stem[stem.length - 2] && !'aeiou'.includes(last)) {
+                candidates.push(stem.slice(0, -1));
+            }
+
+            candidates
+                .filter(base => base.length >= MIN_BASE_LENGTH)
+                .forEach(base => steps.push({ from: word, to: base, label, pos }));
+        });
+
+        return steps;
+    }
+
+    /**
+     * Find the nearest known base of a word
+     * @param {string} word - Lowercase word
+     * @param {Function} isKnown - (word) => boolean, true if the dictionary has it
+     * @returns {Object|null} { lemma, steps } with the fewest steps, or null
+     */
+    function lemmatize(word, isKnown) {
+        // Breadth-first so "studies -> study" wins over longer chains
+        let frontier = [{ word, steps: [] }];
+        const seen = new Set([word]);
+
+        for (let depth = 0; depth < MAX_STEPS && frontier.length > 0; depth++) {
+            const next = [];
+            for (const { word: current, steps } of frontier) {
+                for (const step of reduceOnce(current)) {
+                    if (seen.has(step.to)) continue;
+                    seen.add(step.to);
+
+                    const path = [...steps, step];
+                    if (isKnown(step.to)) {
+                        return { lemma: step.to, steps: path };
+                    }
+                    next.push({ word: step.to, steps: path });
+                }
+            }
+            frontier = next;
+        }
+
+        return null;
+    }
+
+    /**
+     * Every base a word could reduce to, for fetching dictionary data before lemmatize()
+     * @param {string} word - Lowercase word
+     * @returns {string[]} Candidate bases, nearest first
+     */
+    function candidates(word) {
+        const found = [];
+        const seen = new Set([word]);
+        let frontier = [word];
+
+        for (let depth = 0; depth < MAX_STEPS && frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(current => {
+                reduceOnce(current).forEach(({ to }) => {
+                    if (seen.has(to)) return;
+                    seen.add(to);
+                    found.push(to);
+                    next.push(to);
+                });
+            });
+            frontier = next;
+        }
+
+        return found;
+    }
+
+    /**
+     * Describe a chain of steps, e.g. "past tense of see" or
+     * "adverb form of practical (adjective form of practice)"
+     */
+    function describe(steps) {
+        const [first, ...rest] = steps;
+        const text = `${first.label} of ${first.to}`;
+        return rest.length > 0 ? `${text} (${describe(rest)})` : text;
+    }
+
+    // Public API
+    return {
+        lemmatize,
+        candidates,
+        describe
+    };
+})();
+
+// Node (scripts/validate-dictionary.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lemmatizer;
+}
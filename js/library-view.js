@@ -0,0 +1,189 @@
+/**
+ * Library Panel - Browse, search and edit saved passages and built-in lessons
+ */
+
+const LibraryView = (function() {
+    const LEVEL_LABELS = {
+        beginner: 'Beginner',
+        intermediate: 'Intermediate',
+        advanced: 'Advanced'
+    };
+
+    let summary = null;
+    let searchInput = null;
+    let levelSelect = null;
+    let list = null;
+    let getText = null;
+    let onOpen = null;
+
+    // Item whose edit form is showing, and that form once rendered
+    let editingId = null;
+    let editor = null;
+
+    /**
+     * Initialize the panel
+     * @param {Object} options
+     * @param {Function} options.getText - () => string, the text in the input box
+     * @param {Function} options.onOpen - (item) => void, loads an item for practice
+     * @param {Function} options.onSave - (item) => void, after the current text is saved
+     */
+    function init(options) {
+        getText = options.getText;
+        onOpen = options.onOpen;
+        summary = document.getElementById('librarySummary');
+        searchInput = document.getElementById('librarySearch');
+        levelSelect = document.getElementById('libraryLevel');
+        list = document.getElementById('libraryList');
+
+        searchInput.addEventListener('input', refresh);
+        levelSelect.addEventListener('change', refresh);
+        list.addEventListener('click', handleListClick);
+
+        document.getElementById('btnSaveText').addEventListener('click', () => {
+            const text = getText();
+            if (!text) return;
+
+            // Saving the same text twice just opens its form
+            const item = Library.findByText(text) || Library.save(text);
+            options.onSave(item);
+            edit(item.id);
+            searchInput.value = '';
+            levelSelect.value = 'all';
+            refresh();
+        });
+
+        refresh();
+    }
+
+    /**
+     * Re-render the summary and the filtered list
+     */
+    function refresh() {
+        const { el } = Dom;
+        const items = Library.getAll();
+        const saved = items.filter(item => !item.builtIn).length;
+        summary.textContent = `(${items.length - saved} lessons, ${saved} saved)`;
+
+        const matches = Library.search(items, searchInput.value, levelSelect.value);
+        // Reuse the open form so a search or a finished playback keeps unsaved input
+        list.replaceChildren(...matches.map(item =>
+            item.id === editingId ? (editor = editor || renderEditor(item)) : renderItem(item)
+        ));
+        if (matches.length === 0) {
+            list.appendChild(el('li', { className: 'hint' }, 'Nothing matches.'));
+        }
+    }
+
+    /**
+     * One library entry
+     */
+    function renderItem(item) {
+        const { el } = Dom;
+        const sentences = Sentences.split(item.text).length;
+
+        let progress = 'Not practised yet';
+        if (item.lastPractised) {
+            progress = `Last practised ${item.lastPractised}`;
+            if (item.position > 0 && item.position < sentences) {
+                progress += ` · continue from sentence ${item.position + 1} of ${sentences}`;
+            }
+        }
+
+        return el('li', { className: 'library-item', dataset: { id: item.id } },
+            el('div', { className: 'library-item-header' },
+                el('span', { className: 'library-title' }, item.title),
+                item.level
+                    ? el('span', { className: `library-level level-${item.level}` }, LEVEL_LABELS[item.level] || item.level)
+                    : el('span', { className: 'library-level' }, 'Saved'),
+                item.tags.map(tag => el('span', { className: 'library-tag' }, tag))
+            ),
+            el('div', { className: 'library-meta hint' }, progress),
+            item.notes ? el('p', { className: 'library-notes' }, item.notes) : null,
+            el('div', { className: 'library-actions' },
+                el('button', { type: 'button', className: 'btn btn-small btn-primary', dataset: { action: 'open' } }, 'Open'),
+                el('button', { type: 'button', className: 'btn btn-small', dataset: { action: 'edit' } },
+                    item.builtIn ? 'Notes' : 'Edit')
+            )
+        );
+    }
+
+    /**
+     * Inline form: title and tags for saved passages, notes for everything
+     */
+    function renderEditor(item) {
+        const { el } = Dom;
+        const titleInput = el('input', { type: 'text', value: item.title, required: true });
+        const tagsInput = el('input', { type: 'text', value: item.tags.join(', '), placeholder: 'news, podcast' });
+        const notesInput = el('textarea', { value: item.notes, placeholder: 'Notes about this passage' });
+
+        const form = el('form', { className: 'library-item library-editor', dataset: { id: item.id } },
+            el('div', { className: 'library-item-header' }, el('span', { className: 'library-title' }, item.title)),
+            item.builtIn ? null : el('label', {}, 'Title', titleInput),
+            item.builtIn ? null : el('label', {}, 'Tags', tagsInput),
+            el('label', {}, 'Notes', notesInput),
+            el('div', { className: 'library-actions' },
+                el('button', { type: 'submit', className: 'btn btn-small btn-primary' }, 'Save'),
+                el('button', { type: 'button', className: 'btn btn-small', dataset: { action: 'cancel' } }, 'Cancel'),
+                item.builtIn
+                    ? null
+                    : el('button', { type: 'button', className: 'btn btn-small btn-danger', dataset: { action: 'delete' } }, 'Delete')
+            )
+        );
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            Library.update(item.id, item.builtIn
+                ? { notes: notesInput.value }
+                : { title: titleInput.value, tags: Library.parseTags(tagsInput.value), notes: notesInput.value });
+            edit(null);
+            refresh();
+        });
+
+        return el('li', {}, form);
+    }
+
+    /**
+     * Show the form for an item, or close it with null
+     */
+    function edit(id) {
+        editingId = id;
+        editor = null;
+    }
+
+    /**
+     * Open, edit, cancel and delete buttons
+     */
+    function handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        const entry = event.target.closest('[data-id]');
+        if (!button || !entry) return;
+
+        const { id } = entry.dataset;
+        switch (button.dataset.action) {
+            case 'open': {
+                const item = Library.get(id);
+                if (item) onOpen(item);
+                break;
+            }
+            case 'edit':
+                edit(id);
+                refresh();
+                break;
+            case 'cancel':
+                edit(null);
+                refresh();
+                break;
+            case 'delete':
+                Library.remove(id);
+                edit(null);
+                refresh();
+                break;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        refresh
+    };
+})();
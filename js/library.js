@@ -0,0 +1,223 @@
+/**
+ * Library Module - Saved passages and built-in lessons
+ *
+ * Built-in lessons come from data/lessons.json and are read-only. Saved
+ * passages are stored locally (localStorage):
+ * {
+ *   id: 'passage-1700000000000',
+ *   title: 'BBC news, 1 May',
+ *   text: '...',
+ *   tags: ['news'],
+ *   createdAt: '2024-05-01'
+ * }
+ * Every item, lesson or passage, also has progress kept under its id:
+ * { notes: '', lastPractised: '2024-05-02', position: 3 } where position is
+ * the sentence to continue from.
+ */
+
+const Library = (function() {
+    const PASSAGES_KEY = 'library.passages';
+    const PROGRESS_KEY = 'library.progress';
+
+    const LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+    // Words of the text used as the title of a new passage
+    const TITLE_WORDS = 6;
+
+    let lessons = [];
+
+    /**
+     * Load the built-in lessons
+     * @returns {Promise<boolean>}
+     */
+    async function load() {
+        try {
+            const response = await fetch('data/lessons.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            lessons = (data.lessons || []).filter(lesson => lesson.id && lesson.text);
+            console.log('Lessons loaded:', lessons.length);
+            return true;
+        } catch (error) {
+            console.error('Failed to load lessons:', error);
+            lessons = [];
+            return false;
+        }
+    }
+
+    /**
+     * Read a stored value from localStorage
+     */
+    function read(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch (error) {
+            console.warn('Library: Could not read the library', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a value to localStorage
+     */
+    function write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('Library: Could not save the library', error);
+        }
+    }
+
+    /**
+     * Split "news, BBC ,, podcast" into ['news', 'bbc', 'podcast']
+     */
+    function parseTags(text) {
+        const tags = (text || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    /**
+     * Every item with its progress, lessons (by level) first, then passages (newest first)
+     * @returns {Array<Object>} { id, title, text, tags, level, builtIn, notes, lastPractised, position }
+     */
+    function getAll() {
+        const progress = read(PROGRESS_KEY, {});
+        const withProgress = item => ({ notes: '', lastPractised: null, position: 0, ...progress[item.id], ...item });
+
+        const builtIn = [...lessons]
+            .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level))
+            .map(lesson => withProgress({ tags: [], ...lesson, builtIn: true }));
+        const passages = read(PASSAGES_KEY, []).slice().reverse()
+            .map(passage => withProgress({ ...passage, level: null, builtIn: false }));
+
+        return [...builtIn, ...passages];
+    }
+
+    /**
+     * Find an item by id
+     */
+    function get(id) {
+        return getAll().find(item => item.id === id) || null;
+    }
+
+    /**
+     * Find a saved passage or lesson with exactly this text
+     */
+    function findByText(text) {
+        return getAll().find(item => item.text === text) || null;
+    }
+
+    /**
+     * Save a passage
+     * @param {string} text - Passage text
+     * @param {Object} [details]
+     * @param {string} [details.title] - Defaults to the first words of the text
+     * @param {Array<string>} [details.tags]
+     * @returns {Object} The new passage (with progress fields)
+     */
+    function save(text, details = {}) {
+        const words = text.split(/\s+/);
+        const title = (details.title || '').trim() ||
+            words.slice(0, TITLE_WORDS).join(' ') + (words.length > TITLE_WORDS ? '…' : '');
+
+        const passage = {
+            id: `passage-${Date.now()}`,
+            title,
+            text,
+            tags: details.tags || [],
+            createdAt: Notebook.toDateString()
+        };
+
+        const passages = read(PASSAGES_KEY, []);
+        passages.push(passage);
+        write(PASSAGES_KEY, passages);
+        return get(passage.id);
+    }
+
+    /**
+     * Change an item: title and tags (passages only) and notes (any item)
+     * @param {string} id
+     * @param {Object} changes - { title?, tags?, notes? }
+     */
+    function update(id, changes) {
+        const passages = read(PASSAGES_KEY, []);
+        const passage = passages.find(item => item.id === id);
+        if (passage) {
+            if (changes.title !== undefined && changes.title.trim()) passage.title = changes.title.trim();
+            if (changes.tags !== undefined) passage.tags = changes.tags;
+            write(PASSAGES_KEY, passages);
+        }
+
+        if (changes.notes !== undefined) {
+            setProgress(id, { notes: changes.notes.trim() });
+        }
+    }
+
+    /**
+     * Delete a saved passage (built-in lessons can't be removed)
+     */
+    function remove(id) {
+        write(PASSAGES_KEY, read(PASSAGES_KEY, []).filter(item => item.id !== id));
+
+        const progress = read(PROGRESS_KEY, {});
+        delete progress[id];
+        write(PROGRESS_KEY, progress);
+    }
+
+    /**
+     * Merge fields into an item's progress record
+     */
+    function setProgress(id, fields) {
+        const progress = read(PROGRESS_KEY, {});
+        progress[id] = { ...progress[id], ...fields };
+        write(PROGRESS_KEY, progress);
+    }
+
+    /**
+     * Note that an item was practised today
+     * @param {string} id
+     * @param {number} [position] - Sentence reached, to continue from next time
+     */
+    function markPractised(id, position) {
+        setProgress(id, {
+            lastPractised: Notebook.toDateString(),
+            ...(position !== undefined ? { position } : {})
+        });
+    }
+
+    /**
+     * Filter items by a search query and a level
+     * @param {Array<Object>} items - From getAll()
+     * @param {string} query - Every word must appear in the title, tags, notes or text
+     * @param {string} [level] - 'all', a lesson level, or 'saved' for passages
+     * @returns {Array<Object>}
+     */
+    function search(items, query, level = 'all') {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return items.filter(item => {
+            if (level === 'saved' && item.builtIn) return false;
+            if (LEVELS.includes(level) && item.level !== level) return false;
+
+            const haystack = [item.title, item.tags.join(' '), item.notes, item.text].join('\n').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    // Public API
+    return {
+        LEVELS,
+        load,
+        getAll,
+        get,
+        findByText,
+        save,
+        update,
+        remove,
+        markPractised,
+        search,
+        parseTags
+    };
+})();
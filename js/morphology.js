@@ -0,0 +1,174 @@
+/**
+ * Morphology Module - Guessed affix/root breakdowns for unknown words
+ *
+ * Uses the prefix, suffix and root tables in data/affixes.json to split a
+ * word that has no dictionary entry, e.g. "unbreakable" -> un- + break + -able.
+ * Results have the same shape as Dictionary.lookup() plus `autoAnalysed: true`.
+ */
+
+const Morphology = (function() {
+    // Shortest stem left after removing affixes
+    const MIN_STEM_LENGTH = 3;
+
+    // Normalized affix -> { display, meaning }, e.g. "un" -> { display: "un-", meaning: "不、相反" }
+    let prefixes = new Map();
+    let suffixes = new Map();
+    let roots = new Map();
+
+    /**
+     * Load the affix tables from JSON file
+     */
+    async function load() {
+        try {
+            const response = await fetch('data/affixes.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            setTables(await response.json());
+            console.log('Affixes loaded:', prefixes.size, 'prefixes,', suffixes.size, 'suffixes,', roots.size, 'roots');
+            return true;
+        } catch (error) {
+            console.error('Failed to load affixes:', error);
+            setTables(getFallbackData());
+            return true;
+        }
+    }
+
+    /**
+     * Fallback data if JSON fails to load
+     */
+    function getFallbackData() {
+        return {
+            prefixes: { "un-": "不、相反", "re-": "再、回", "mis-": "錯誤、壞" },
+            suffixes: { "-able": "可…的（形容詞字尾）", "-tion": "名詞字尾，表示行為或結果", "-ness": "名詞字尾，表示性質或狀態" },
+            roots: { "port-": "攜帶（拉丁語 portare）" }
+        };
+    }
+
+    /**
+     * Index the raw tables by their bare form ("un-" -> "un")
+     */
+    function setTables(data) {
+        const toMap = table => new Map(Object.entries(table || {}).map(([display, meaning]) =>
+            [display.toLowerCase().replace(/^-+|-+$/g, ''), { display, meaning }]
+        ));
+        prefixes = toMap(data.prefixes);
+        suffixes = toMap(data.suffixes);
+        roots = toMap(data.roots);
+    }
+
+    /**
+     * Spellings the stem may have had before a suffix was attached, most likely first
+     * (happiness -> happy, running -> run, making -> mak / make)
+     */
+    function stemSpellings(stem, hasSuffix) {
+        if (!hasSuffix) return [stem];
+
+        const spellings = [];
+        const last = stem[stem.length - 1];
+        if (last === 'i') {
+            spellings.push(stem.slice(0, -1) + 'y');
+        }
+        if (stem.length > MIN_STEM_LENGTH && last === stem[stem.length - 2] && !'aeiouls'.includes(last)) {
+            spellings.push(stem.slice(0, -1));
+        }
+        spellings.push(stem);
+        // A dropped e only after a single vowel and consonant (mak -> make, not break -> breake)
+        if (/[^aeiou][aeiou][^aeiouwxy]$/.test(stem)) {
+            spellings.push(stem + 'e');
+        }
+        return spellings;
+    }
+
+    /**
+     * Rate a candidate stem
+     * @returns {Object|null} { root, rootMeaning, score } or null if implausible
+     */
+    function rateStem(stem) {
+        const entry = Dictionary.lookup(stem);
+        if (entry && entry.word === stem) {
+            return { root: stem, rootMeaning: entry.translation || '', score: 4 };
+        }
+
+        const root = roots.get(stem);
+        if (root) {
+            return { root: root.display, rootMeaning: root.meaning, score: 3 };
+        }
+
+        // An unknown stem still needs to look like a word
+        if (stem.length < MIN_STEM_LENGTH || !/[aeiouy]/.test(stem)) {
+            return null;
+        }
+        return { root: stem, rootMeaning: '詞幹', score: 1 };
+    }
+
+    /**
+     * Order candidates: higher score, then the likelier spelling, then longer affixes
+     * (quickly -> quick + -ly rather than quickl + -y)
+     */
+    function compareCandidates(a, b) {
+        return (b.score - a.score) || (a.preference - b.preference) || (a.stem.length - b.stem.length);
+    }
+
+    /**
+     * Guess a breakdown for a word
+     * @param {string} word - Word to analyse
+     * @returns {Object|null} Word info with `autoAnalysed: true`, or null if no affix or root fits
+     */
+    function analyze(word) {
+        const normalized = (word || '').toLowerCase().replace(/[^a-z]/g, '');
+        if (normalized.length < MIN_STEM_LENGTH + 1) return null;
+
+        const prefixOptions = [null, ...[...prefixes.keys()].filter(p => normalized.startsWith(p))];
+        const suffixOptions = [null, ...[...suffixes.keys()].filter(s => normalized.endsWith(s))];
+
+        let best = null;
+        prefixOptions.forEach(prefix => {
+            suffixOptions.forEach(suffix => {
+                const start = prefix ? prefix.length : 0;
+                const end = normalized.length - (suffix ? suffix.length : 0);
+                if (end - start < MIN_STEM_LENGTH - 1) return;
+
+                const affixes = (prefix ? 1 : 0) + (suffix ? 1 : 0);
+                stemSpellings(normalized.slice(start, end), Boolean(suffix)).forEach((stem, preference) => {
+                    const rated = rateStem(stem);
+                    if (!rated) return;
+                    // An unknown stem is only a guess when two affixes frame it
+                    // (water is not wat + -er, but un- + kind + -ness could be)
+                    if (rated.score < 3 && affixes < 2) return;
+                    // A bound root needs more than a one-letter ending (many is not man- + -y)
+                    if (rated.score === 3 && normalized.length - stem.length < 2) return;
+
+                    const candidate = { prefix, suffix, stem, preference, ...rated, score: rated.score + affixes };
+                    if (!best || compareCandidates(candidate, best) < 0) {
+                        best = candidate;
+                    }
+                });
+            });
+        });
+
+        if (!best) return null;
+
+        const breakdown = { root: best.root, rootMeaning: best.rootMeaning };
+        if (best.prefix) {
+            breakdown.prefix = prefixes.get(best.prefix).display;
+            breakdown.prefixMeaning = prefixes.get(best.prefix).meaning;
+        }
+        if (best.suffix) {
+            breakdown.suffix = suffixes.get(best.suffix).display;
+            breakdown.suffixMeaning = suffixes.get(best.suffix).meaning;
+        }
+
+        return {
+            word: normalized,
+            breakdown,
+            autoAnalysed: true
+        };
+    }
+
+    // Public API
+    return {
+        load,
+        analyze
+    };
+})();
@@ -0,0 +1,207 @@
+/**
+ * Notebook Panel - Saved word list and spaced-repetition review
+ */
+
+const NotebookView = (function() {
+    // Self-grades shown after the answer is revealed (SM-2 quality)
+    const GRADES = [
+        { quality: 1, label: 'Again' },
+        { quality: 3, label: 'Hard' },
+        { quality: 4, label: 'Good' },
+        { quality: 5, label: 'Easy' }
+    ];
+
+    let summary = null;
+    let btnStartReview = null;
+    let reviewCard = null;
+    let notebookList = null;
+
+    let reviewQueue = [];
+    let reviewed = 0;
+
+    /**
+     * Initialize the panel
+     */
+    function init() {
+        summary = document.getElementById('notebookSummary');
+        btnStartReview = document.getElementById('btnStartReview');
+        reviewCard = document.getElementById('reviewCard');
+        notebookList = document.getElementById('notebookList');
+
+        btnStartReview.addEventListener('click', startReview);
+        reviewCard.addEventListener('click', handleReviewClick);
+        notebookList.addEventListener('click', handleListClick);
+
+        refresh();
+    }
+
+    /**
+     * Re-render the word list and due count
+     */
+    function refresh() {
+        const entries = Notebook.getAll();
+        const due = Notebook.getDue().length;
+
+        summary.textContent = entries.length === 0
+            ? '(Save words from the breakdown card)'
+            : `(${entries.length} saved, ${due} due)`;
+        btnStartReview.disabled = due === 0;
+        btnStartReview.textContent = due > 0 ? `Review ${due} word${due > 1 ? 's' : ''}` : 'Nothing to review';
+
+        notebookList.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'notebook-item';
+
+            const word = document.createElement('span');
+            word.className = 'notebook-word';
+            word.textContent = entry.word;
+
+            const sentence = document.createElement('span');
+            sentence.className = 'notebook-sentence';
+            sentence.textContent = entry.sentence || '';
+
+            const due = document.createElement('span');
+            due.className = 'notebook-due';
+            due.textContent = `Due ${entry.review.due}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'notebook-remove';
+            remove.dataset.word = entry.word;
+            remove.title = 'Remove from notebook';
+            remove.innerHTML = '&times;';
+
+            item.append(word, sentence, due, remove);
+            notebookList.appendChild(item);
+        });
+    }
+
+    /**
+     * Start reviewing all due words
+     */
+    function startReview() {
+        reviewQueue = Notebook.getDue();
+        reviewed = 0;
+        reviewCard.hidden = false;
+        showFront();
+    }
+
+    /**
+     * Show the front of the next card: word, audio and its sentence
+     */
+    function showFront() {
+        const entry = reviewQueue[0];
+        if (!entry) {
+            finishReview();
+            return;
+        }
+
+        reviewCard.innerHTML = `
+            <div class="review-progress">${reviewed + 1} / ${reviewed + reviewQueue.length}</div>
+            <div class="review-front">
+                <span class="review-word"></span>
+                <button class="play-word" title="Play pronunciation">&#9658;</button>
+            </div>
+            <p class="review-sentence"></p>
+            <button class="btn btn-primary review-reveal">Show answer</button>
+        `;
+        reviewCard.querySelector('.review-word').textContent = entry.word;
+        reviewCard.querySelector('.play-word').dataset.word = entry.word;
+        reviewCard.querySelector('.review-sentence').textContent = entry.sentence || '';
+
+        speakWord(entry.word);
+    }
+
+    /**
+     * Pronounce a word unless practice audio is playing (or paused)
+     */
+    function speakWord(word) {
+        if (TTS.isSpeaking()) return;
+        TTS.speakNormal(word, { source: 'word' });
+    }
+
+    /**
+     * Reveal the dictionary card and the grade buttons
+     */
+    async function showBack() {
+        const entry = reviewQueue[0];
+        const reveal = reviewCard.querySelector('.review-reveal');
+        // Ignore more clicks while the entry loads
+        reveal.disabled = true;
+        await Dictionary.preload([entry.word]);
+        // The card was replaced meanwhile (review restarted)
+        if (!reveal.isConnected) return;
+        const wordInfo = Dictionary.lookup(entry.word) || Morphology.analyze(entry.word);
+
+        const answer = document.createElement('div');
+        answer.className = 'review-answer';
+        answer.appendChild(wordInfo
+            ? Dictionary.renderWordInfo(wordInfo)
+            : Dictionary.renderNotFound(entry.word));
+
+        const grades = document.createElement('div');
+        grades.className = 'review-grades';
+        GRADES.forEach(({ quality, label }) => {
+            const next = Notebook.schedule(entry.review, quality);
+            const button = document.createElement('button');
+            button.className = 'btn btn-small review-grade';
+            button.dataset.quality = quality;
+            button.textContent = `${label} · ${next.interval}d`;
+            grades.appendChild(button);
+        });
+
+        reveal.replaceWith(answer, grades);
+    }
+
+    /**
+     * Finish the session
+     */
+    function finishReview() {
+        reviewCard.innerHTML = `
+            <p class="review-done">Review complete! ${reviewed} card${reviewed === 1 ? '' : 's'} reviewed.</p>
+        `;
+        refresh();
+    }
+
+    /**
+     * Handle buttons inside the review card
+     */
+    function handleReviewClick(event) {
+        const target = event.target.closest('button');
+        if (!target) return;
+
+        if (target.classList.contains('play-word')) {
+            speakWord(target.dataset.word);
+        } else if (target.classList.contains('review-reveal')) {
+            showBack();
+        } else if (target.classList.contains('review-grade')) {
+            const entry = reviewQueue.shift();
+            const quality = parseInt(target.dataset.quality, 10);
+            Notebook.grade(entry.word, quality);
+            reviewed++;
+
+            // Forgotten words come back at the end of this session
+            if (quality < 3) {
+                reviewQueue.push(Notebook.get(entry.word));
+            }
+            showFront();
+        }
+    }
+
+    /**
+     * Handle remove buttons in the word list
+     */
+    function handleListClick(event) {
+        const target = event.target.closest('.notebook-remove');
+        if (!target) return;
+
+        Notebook.remove(target.dataset.word);
+        refresh();
+    }
+
+    // Public API
+    return {
+        init,
+        refresh
+    };
+})();
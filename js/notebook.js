@@ -0,0 +1,210 @@
+/**
+ * Notebook Module - Saved words with SM-2 spaced-repetition scheduling
+ *
+ * Entries are stored locally (localStorage) so review works offline:
+ * {
+ *   word: 'practice',
+ *   sentence: 'I practice every day.',
+ *   savedAt: '2024-05-01',
+ *   review: { repetitions: 0, interval: 0, easiness: 2.5, due: '2024-05-01', lastReviewed: null }
+ * }
+ */
+
+const Notebook = (function() {
+    const STORAGE_KEY = 'notebook.entries';
+
+    const DEFAULT_EASINESS = 2.5;
+    const MIN_EASINESS = 1.3;
+
+    /**
+     * Read entries from localStorage
+     * @returns {Object} word -> entry
+     */
+    function loadEntries() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Notebook: Could not read saved words', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write entries to localStorage
+     */
+    function writeEntries(entries) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('Notebook: Could not save words', error);
+        }
+    }
+
+    /**
+     * Local date as YYYY-MM-DD
+     * @param {Date} [date]
+     */
+    function toDateString(date = new Date()) {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    function addDays(dateString, days) {
+        const [y, m, d] = dateString.split('-').map(Number);
+        return toDateString(new Date(y, m - 1, d + days));
+    }
+
+    /**
+     * Normalize a word for use as a key
+     */
+    function normalize(word) {
+        return (word || '').toLowerCase().replace(/[^a-z' -]/g, '').trim();
+    }
+
+    /**
+     * Save a word (keeps the original save date and schedule if already saved)
+     * @param {string} word - Word to save
+     * @param {string} sentence - Sentence it came from
+     * @returns {Object|null} The entry
+     */
+    function add(word, sentence = '') {
+        const key = normalize(word);
+        if (!key) return null;
+
+        const entries = loadEntries();
+        const today = toDateString();
+
+        entries[key] = entries[key] || {
+            word: key,
+            savedAt: today,
+            review: {
+                repetitions: 0,
+                interval: 0,
+                easiness: DEFAULT_EASINESS,
+                due: today,
+                lastReviewed: null
+            }
+        };
+        if (sentence) {
+            entries[key].sentence = sentence;
+        }
+
+        writeEntries(entries);
+        return entries[key];
+    }
+
+    /**
+     * Remove a word
+     */
+    function remove(word) {
+        const entries = loadEntries();
+        delete entries[normalize(word)];
+        writeEntries(entries);
+    }
+
+    /**
+     * Check if a word is saved
+     */
+    function has(word) {
+        return normalize(word) in loadEntries();
+    }
+
+    /**
+     * Get one entry
+     */
+    function get(word) {
+        return loadEntries()[normalize(word)] || null;
+    }
+
+    /**
+     * Get all entries, most recently saved first
+     */
+    function getAll() {
+        return Object.values(loadEntries())
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt) || a.word.localeCompare(b.word));
+    }
+
+    /**
+     * Get entries due for review (oldest due date first)
+     * @param {string} [today] - YYYY-MM-DD
+     */
+    function getDue(today = toDateString()) {
+        return Object.values(loadEntries())
+            .filter(entry => entry.review.due <= today)
+            .sort((a, b) => a.review.due.localeCompare(b.review.due));
+    }
+
+    /**
+     * Apply the SM-2 algorithm to a review schedule
+     * @param {Object} review - Current schedule
+     * @param {number} quality - Self-grade 0 (blackout) to 5 (perfect)
+     * @param {string} [today] - YYYY-MM-DD
+     * @returns {Object} New schedule
+     */
+    function schedule(review, quality, today = toDateString()) {
+        let { repetitions, interval, easiness } = review;
+
+        if (quality < 3) {
+            // Forgotten: start over, see it again tomorrow
+            repetitions = 0;
+            interval = 1;
+        } else {
+            repetitions++;
+            if (repetitions === 1) {
+                interval = 1;
+            } else if (repetitions === 2) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * easiness);
+            }
+        }
+
+        easiness = Math.max(
+            MIN_EASINESS,
+            easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+
+        return {
+            repetitions,
+            interval,
+            easiness: Math.round(easiness * 100) / 100,
+            due: addDays(today, interval),
+            lastReviewed: today
+        };
+    }
+
+    /**
+     * Record a self-grade for a word
+     * @param {string} word - Saved word
+     * @param {number} quality - 0 to 5
+     * @returns {Object|null} Updated entry
+     */
+    function grade(word, quality) {
+        const entries = loadEntries();
+        const entry = entries[normalize(word)];
+        if (!entry) return null;
+
+        entry.review = schedule(entry.review, quality);
+        writeEntries(entries);
+        return entry;
+    }
+
+    // Public API
+    return {
+        add,
+        remove,
+        has,
+        get,
+        getAll,
+        getDue,
+        grade,
+        schedule,
+        toDateString,
+        addDays
+    };
+})();
@@ -0,0 +1,50 @@
+/**
+ * Offline Module - Registers the service worker (sw.js)
+ *
+ * The worker keeps the app and the whole dictionary available offline and
+ * reports when it has fetched a newer dictionary in the background.
+ */
+
+const Offline = (function() {
+    const WORKER_URL = 'sw.js';
+
+    /**
+     * Check if the app can work offline here (service workers need http(s), not file://)
+     */
+    function isSupported() {
+        return typeof navigator !== 'undefined' &&
+            'serviceWorker' in navigator &&
+            /^https?:$/.test(location.protocol);
+    }
+
+    /**
+     * Register the worker and listen for dictionary updates
+     * @param {Object} options
+     * @param {Function} options.onDictionaryUpdate - (url) => void, when a newer
+     *   copy of a dictionary file was cached; it is used after a reload
+     * @returns {Promise<boolean>} Whether the worker was registered
+     */
+    async function init({ onDictionaryUpdate }) {
+        if (!isSupported()) return false;
+
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'dictionary-updated') {
+                onDictionaryUpdate(event.data.url);
+            }
+        });
+
+        try {
+            await navigator.serviceWorker.register(WORKER_URL);
+            return true;
+        } catch (error) {
+            console.warn('Offline: Could not register the service worker', error);
+            return false;
+        }
+    }
+
+    // Public API
+    return {
+        isSupported,
+        init
+    };
+})();
@@ -0,0 +1,259 @@
+/**
+ * Dictionary Packs - Manifest, shard and index format for dictionary data
+ *
+ * data/packs.json lists the packs to load. For a word in several packs the
+ * highest priority wins; the user's local edits (WordStore) win over all:
+ * {
+ *   "packs": [
+ *     { "id": "base", "file": "data/words.json", "priority": 0 },
+ *     { "id": "toeic", "manifest": "data/packs/toeic/manifest.json", "priority": 10 }
+ *   ]
+ * }
+ *
+ * A `file` pack is one words.json loaded whole. A `manifest` pack is built by
+ * scripts/build-pack.js: an index (all keys grouped by prefix, morphemes and
+ * phrases) loaded up front, plus shards fetched only when a word needs them.
+ *
+ * Shared with Node (scripts/build-pack.js), so fetching is kept apart from
+ * the pure format helpers.
+ */
+
+const DictionaryPacks = (function() {
+    const REGISTRY_URL = 'data/packs.json';
+
+    // Used when data/packs.json is missing
+    const DEFAULT_PACKS = [{ id: 'base', file: 'data/words.json', priority: 0 }];
+
+    // Length of the key prefix used to group words in the index
+    const PREFIX_LENGTH = 2;
+
+    // Breakdown fields for each morpheme type
+    const MORPHEME_TYPES = [
+        { type: 'prefix', field: 'prefix', meaningField: 'prefixMeaning' },
+        { type: 'root', field: 'root', meaningField: 'rootMeaning' },
+        { type: 'suffix', field: 'suffix', meaningField: 'suffixMeaning' }
+    ];
+
+    /**
+     * Normalize a morpheme for indexing ("Pract-" -> "pract", "-tion" -> "tion")
+     */
+    function normalizeMorpheme(morpheme) {
+        return (morpheme || '').toLowerCase().replace(/^-+|-+$/g, '').trim();
+    }
+
+    /**
+     * Prefix group of a key in the index ("practice" -> "pr")
+     */
+    function prefixOf(word) {
+        return word.slice(0, PREFIX_LENGTH);
+    }
+
+    /**
+     * 32-bit FNV-1a hash, stable between the build script and the browser
+     */
+    function hash(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return h;
+    }
+
+    /**
+     * Shard id holding a key
+     * @param {string} word - Normalized key
+     * @param {Object} sharding - { type: 'letter' } or { type: 'hash', count }
+     */
+    function shardFor(word, sharding) {
+        if (sharding.type === 'hash') {
+            return String(hash(word) % sharding.count);
+        }
+        return /^[a-z]/.test(word) ? word[0] : '_';
+    }
+
+    /**
+     * Build the index for a set of entries
+     * @param {Object} entries - word -> entry
+     * @returns {Object} {
+     *   words: { prefix: [word, ...] },
+     *   morphemes: { "type:morpheme": [{ word, meaning, translation }] },
+     *   phrases: [word, ...],
+     *   translations: { word: translation } for searching words in unloaded shards
+     * }
+     */
+    function buildIndex(entries) {
+        const index = { words: {}, morphemes: {}, phrases: [], translations: {} };
+
+        Object.keys(entries).sort().forEach(word => {
+            const entry = entries[word];
+
+            const prefix = prefixOf(word);
+            (index.words[prefix] = index.words[prefix] || []).push(word);
+
+            if (word.includes(' ')) {
+                index.phrases.push(word);
+            }
+
+            index.translations[word] = entry.translation || '';
+
+            const breakdown = entry.breakdown;
+            if (!breakdown) return;
+
+            MORPHEME_TYPES.forEach(({ type, field, meaningField }) => {
+                const morpheme = normalizeMorpheme(breakdown[field]);
+                if (!morpheme) return;
+
+                const key = `${type}:${morpheme}`;
+                (index.morphemes[key] = index.morphemes[key] || []).push({
+                    word,
+                    meaning: breakdown[meaningField] || '',
+                    translation: entry.translation || ''
+                });
+            });
+        });
+
+        return index;
+    }
+
+    /**
+     * Every key listed in an index
+     */
+    function indexedWords(index) {
+        return Object.values(index.words).flat();
+    }
+
+    /**
+     * Fetch JSON, throwing on HTTP errors
+     */
+    async function fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Read the pack list, lowest priority first
+     * @returns {Promise<Array>} Pack definitions from data/packs.json
+     */
+    async function loadRegistry() {
+        let packs = DEFAULT_PACKS;
+        try {
+            packs = (await fetchJson(REGISTRY_URL)).packs;
+        } catch (error) {
+            console.warn('DictionaryPacks: No pack list, using data/words.json', error);
+        }
+        return [...packs].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+    }
+
+    /**
+     * Load a pack's up-front data
+     * @param {Object} definition - Entry from data/packs.json
+     * @returns {Promise<Object>} {
+     *   id, priority, index, keys: Set, entries: Object,
+     *   manifest: Object|null (sharded packs only), baseUrl, loadedShards: Map
+     * }
+     */
+    async function loadPack(definition) {
+        if (!definition.manifest) {
+            return createPack(definition, await fetchJson(definition.file));
+        }
+
+        const manifest = await fetchJson(definition.manifest);
+        const baseUrl = definition.manifest.replace(/[^/]*$/, '');
+        const index = await fetchJson(baseUrl + manifest.index);
+
+        return {
+            id: definition.id,
+            priority: definition.priority || 0,
+            manifest,
+            baseUrl,
+            entries: {},
+            loadedShards: new Map(),
+            index,
+            keys: new Set(indexedWords(index))
+        };
+    }
+
+    /**
+     * Make a whole-file pack from entries already in memory
+     * @param {Object} definition - { id, priority }
+     * @param {Object} entries - word -> entry
+     * @returns {Object} Pack, as loadPack() returns
+     */
+    function createPack(definition, entries) {
+        const index = buildIndex(entries);
+        return {
+            id: definition.id,
+            priority: definition.priority || 0,
+            manifest: null,
+            baseUrl: '',
+            entries,
+            loadedShards: new Map(),
+            index,
+            keys: new Set(indexedWords(index))
+        };
+    }
+
+    /**
+     * Fetch a shard of a sharded pack (once) and add its entries to the pack
+     * @returns {Promise<string[]>} Keys in the shard (empty if it failed)
+     */
+    function loadShard(pack, shardId) {
+        if (!pack.loadedShards.has(shardId)) {
+            const file = pack.manifest.shards[shardId];
+            const request = fetchJson(pack.baseUrl + file)
+                .then(entries => {
+                    Object.assign(pack.entries, entries);
+                    return Object.keys(entries);
+                })
+                .catch(error => {
+                    // Allow a retry on the next lookup
+                    pack.loadedShards.delete(shardId);
+                    console.error(`DictionaryPacks: Failed to load ${pack.id}/${file}`, error);
+                    return [];
+                });
+            pack.loadedShards.set(shardId, request);
+        }
+        return pack.loadedShards.get(shardId);
+    }
+
+    /**
+     * Shards of a pack that hold any of the given keys
+     * @returns {string[]} Shard ids (empty for whole-file packs)
+     */
+    function shardsFor(pack, keys) {
+        if (!pack.manifest) return [];
+
+        const shards = new Set();
+        keys.forEach(key => {
+            if (pack.keys.has(key)) {
+                shards.add(shardFor(key, pack.manifest.sharding));
+            }
+        });
+        return [...shards];
+    }
+
+    // Public API
+    return {
+        MORPHEME_TYPES,
+        PREFIX_LENGTH,
+        normalizeMorpheme,
+        prefixOf,
+        shardFor,
+        buildIndex,
+        indexedWords,
+        loadRegistry,
+        loadPack,
+        createPack,
+        loadShard,
+        shardsFor
+    };
+})();
+
+// Node (scripts/build-pack.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DictionaryPacks;
+}
@@ -0,0 +1,317 @@
+/**
+ * Practice Log - Local history of practice sessions
+ *
+ * A session starts with each practice run (Play, Shadowing, a drill...) and
+ * collects what happens until the next one starts:
+ * {
+ *   id: 'session-1700000000000',
+ *   date: '2024-05-01',                 // local day the session started
+ *   startedAt: '2024-05-01T08:30:00.000Z',
+ *   mode: 'shadowing',
+ *   recipe: 'Ladder',                   // shadowing recipe, if any
+ *   text: 'I want to build...',         // practised text (shortened)
+ *   seconds: 95,                        // start to last play or score
+ *   repetitions: 6,                     // utterances played
+ *   rates: [0.7, 1],                    // speeds used
+ *   lookups: ['practice'],              // words looked up, in order
+ *   scores: [80, 100]                   // accuracy of each scored attempt
+ * }
+ * Only plays and scores keep a session going: after IDLE_LIMIT without them
+ * the next play or score reopens the practice as a new session, and a lookup
+ * goes to a 'lookup' session instead. Lookups never add to `seconds`.
+ *
+ * The open session is stored on its own so each update is a small write;
+ * it joins the list when the next session starts or the page is reloaded.
+ */
+
+const PracticeLog = (function() {
+    const SESSIONS_KEY = 'practice.sessions';
+    const CURRENT_KEY = 'practice.current';
+
+    // Oldest sessions are dropped past this many, keeping the list (up to
+    // about 0.5 MB) well inside the localStorage quota shared with the notebook
+    const MAX_SESSIONS = 1000;
+
+    const MAX_TEXT_LENGTH = 300;
+
+    // Activity after this long a pause belongs to a new session
+    const IDLE_LIMIT = 15 * 60 * 1000;
+
+    // Heatmap levels: minutes a day must reach for levels 1-4
+    const LEVELS = [0, 5, 15, 30];
+
+    const CSV_COLUMNS = [
+        'date', 'startedAt', 'mode', 'recipe', 'minutes', 'repetitions',
+        'rates', 'lookups', 'attempts', 'averageScore', 'text'
+    ];
+
+    let current = null;
+    let lastActivity = 0;
+
+    // Mode, text and recipe of the last practice run, reopened after a pause
+    let lastPractice = null;
+
+    /**
+     * Read a stored value from localStorage
+     */
+    function read(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch (error) {
+            console.warn('PracticeLog: Could not read practice history', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a value to localStorage (null removes it)
+     */
+    function write(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(value));
+            }
+        } catch (error) {
+            console.warn('PracticeLog: Could not save practice history', error);
+        }
+    }
+
+    /**
+     * Move the open session (this page's, or one left by an earlier visit) to the list
+     */
+    function close() {
+        const open = current || read(CURRENT_KEY, null);
+        current = null;
+        write(CURRENT_KEY, null);
+        if (!open) return;
+
+        const sessions = read(SESSIONS_KEY, []);
+        sessions.push(open);
+        write(SESSIONS_KEY, sessions.slice(-MAX_SESSIONS));
+    }
+
+    /**
+     * Start a session, closing the previous one
+     * @param {string} mode - 'play', 'slow', 'shadowing', 'chunks', 'dictation',
+     *   'cloze', 'compare' or 'lookup'
+     * @param {string} text - Practised text
+     * @param {Object} [details]
+     * @param {string} [details.recipe] - Shadowing recipe name
+     */
+    function start(mode, text, details = {}) {
+        close();
+        if (mode !== 'lookup') {
+            lastPractice = { mode, text, recipe: details.recipe };
+        }
+
+        const now = new Date();
+        current = {
+            id: `session-${now.getTime()}`,
+            date: Notebook.toDateString(now),
+            startedAt: now.toISOString(),
+            mode,
+            ...(details.recipe ? { recipe: details.recipe } : {}),
+            text: text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}…` : text,
+            seconds: 0,
+            repetitions: 0,
+            rates: [],
+            lookups: [],
+            scores: []
+        };
+        lastActivity = now.getTime();
+        write(CURRENT_KEY, current);
+    }
+
+    /**
+     * Check if the open session has gone without activity for too long
+     */
+    function isIdle() {
+        return Date.now() - lastActivity > IDLE_LIMIT;
+    }
+
+    /**
+     * Apply a play or score to the open practice session and store it; after
+     * a pause (or a lookup session) the practice is reopened as a new session
+     * @param {Function} change - (session) => void
+     * @returns {boolean} false if nothing has been practised yet
+     */
+    function update(change) {
+        if (!current || current.mode === 'lookup' || isIdle()) {
+            if (!lastPractice) return false;
+            const { mode, text, recipe } = lastPractice;
+            start(mode, text, { recipe });
+        }
+
+        lastActivity = Date.now();
+        current.seconds = Math.round((lastActivity - new Date(current.startedAt).getTime()) / 1000);
+        change(current);
+        write(CURRENT_KEY, current);
+        return true;
+    }
+
+    /**
+     * Count a finished utterance of the practised text
+     * @param {number} rate - Speed it was played at
+     */
+    function recordPlay(rate) {
+        update(session => {
+            session.repetitions++;
+            if (!session.rates.includes(rate)) {
+                session.rates.push(rate);
+                session.rates.sort((a, b) => a - b);
+            }
+        });
+    }
+
+    /**
+     * Note a word looked up; with no session open, or after a pause, this
+     * starts a 'lookup' session. Only lookups keep a lookup session going.
+     */
+    function recordLookup(word) {
+        if (!word) return;
+        if (!current || isIdle()) {
+            start('lookup', '');
+        }
+        if (current.mode === 'lookup') {
+            lastActivity = Date.now();
+        }
+        current.lookups.push(word);
+        write(CURRENT_KEY, current);
+    }
+
+    /**
+     * Note the accuracy (0-100) of a scored attempt
+     */
+    function recordScore(accuracy) {
+        update(session => { session.scores.push(accuracy); });
+    }
+
+    /**
+     * Every session, oldest first, including the open one
+     * @returns {Array<Object>}
+     */
+    function getSessions() {
+        const sessions = read(SESSIONS_KEY, []);
+        const open = current || read(CURRENT_KEY, null);
+        return open ? [...sessions, open] : sessions;
+    }
+
+    /**
+     * Practice minutes per day
+     * @returns {Map} YYYY-MM-DD -> minutes (one decimal)
+     */
+    function dailyMinutes(sessions) {
+        const seconds = new Map();
+        sessions.forEach(session => {
+            seconds.set(session.date, (seconds.get(session.date) || 0) + session.seconds);
+        });
+
+        const minutes = new Map();
+        seconds.forEach((total, date) => minutes.set(date, Math.round(total / 6) / 10));
+        return minutes;
+    }
+
+    /**
+     * Days in a row with practice
+     * @param {Array} sessions
+     * @param {string} [today] - YYYY-MM-DD
+     * @returns {{current: number, longest: number}} The current streak still
+     *   counts when today has no practice yet but yesterday had
+     */
+    function streaks(sessions, today = Notebook.toDateString()) {
+        const days = new Set(sessions.filter(session => session.mode !== 'lookup').map(session => session.date));
+
+        let longest = 0;
+        [...days].sort().forEach(day => {
+            // Count each run from its first day
+            if (days.has(Notebook.addDays(day, -1))) return;
+            let length = 1;
+            while (days.has(Notebook.addDays(day, length))) length++;
+            longest = Math.max(longest, length);
+        });
+
+        let currentStreak = 0;
+        let day = days.has(today) ? today : Notebook.addDays(today, -1);
+        while (days.has(day)) {
+            currentStreak++;
+            day = Notebook.addDays(day, -1);
+        }
+
+        return { current: currentStreak, longest };
+    }
+
+    /**
+     * Most looked-up words
+     * @returns {Array<{word, count}>} Most first, ties alphabetical
+     */
+    function topLookups(sessions, limit = 10) {
+        const counts = new Map();
+        sessions.forEach(session => {
+            session.lookups.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        });
+
+        return [...counts]
+            .map(([word, count]) => ({ word, count }))
+            .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+            .slice(0, limit);
+    }
+
+    /**
+     * Heatmap level (0-4) for a day's minutes
+     */
+    function levelFor(minutes) {
+        if (!minutes) return 0;
+        return LEVELS.filter(threshold => minutes >= threshold).length;
+    }
+
+    /**
+     * Export every session as JSON
+     */
+    function toJson() {
+        return JSON.stringify({ exportedAt: new Date().toISOString(), sessions: getSessions() }, null, 2);
+    }
+
+    /**
+     * Export every session as CSV, one row each
+     */
+    function toCsv() {
+        const rows = getSessions().map(session => {
+            const average = session.scores.length > 0
+                ? Math.round(session.scores.reduce((sum, score) => sum + score, 0) / session.scores.length)
+                : '';
+            return [
+                session.date,
+                session.startedAt,
+                session.mode,
+                session.recipe || '',
+                Math.round(session.seconds / 6) / 10,
+                session.repetitions,
+                session.rates.join('; '),
+                session.lookups.join('; '),
+                session.scores.length,
+                average,
+                session.text
+            ];
+        });
+
+        return DictionaryCsv.formatRows([CSV_COLUMNS, ...rows]);
+    }
+
+    // Public API
+    return {
+        start,
+        close,
+        recordPlay,
+        recordLookup,
+        recordScore,
+        getSessions,
+        dailyMinutes,
+        streaks,
+        topLookups,
+        levelFor,
+        toJson,
+        toCsv
+    };
+})();
@@ -0,0 +1,209 @@
+/**
+ * Progress Panel - Practice history dashboard and export
+ *
+ * Rendered from PracticeLog whenever the panel is open; the summary line
+ * next to its title is kept up to date even while it is closed.
+ */
+
+const ProgressView = (function() {
+    // Days in the minutes chart and weeks in the heatmap
+    const CHART_DAYS = 14;
+    const HEATMAP_WEEKS = 20;
+
+    const RECENT_SESSIONS = 8;
+
+    const MODE_LABELS = {
+        play: 'Play',
+        slow: 'Slow',
+        shadowing: 'Shadowing',
+        chunks: 'Chunks',
+        dictation: 'Dictation',
+        cloze: 'Cloze',
+        compare: 'Compare',
+        lookup: 'Word lookup'
+    };
+
+    let panel = null;
+    let summary = null;
+    let dashboard = null;
+    let onShowWord = null;
+
+    /**
+     * Initialize the panel
+     * @param {Object} options
+     * @param {Function} options.onShowWord - (word) => void, opens a word's card
+     * @param {Function} options.onDownload - (fileName, text, type) => void
+     */
+    function init(options) {
+        onShowWord = options.onShowWord;
+        panel = document.getElementById('progressPanel');
+        summary = document.getElementById('progressSummary');
+        dashboard = document.getElementById('progressDashboard');
+
+        panel.addEventListener('toggle', refresh);
+        dashboard.addEventListener('click', handleDashboardClick);
+
+        document.getElementById('btnExportHistoryJson').addEventListener('click', () => {
+            options.onDownload(`practice-history-${Notebook.toDateString()}.json`, PracticeLog.toJson(), 'application/json');
+        });
+        document.getElementById('btnExportHistoryCsv').addEventListener('click', () => {
+            // BOM so spreadsheet apps read the text as UTF-8
+            options.onDownload(`practice-history-${Notebook.toDateString()}.csv`, '\uFEFF' + PracticeLog.toCsv(), 'text/csv');
+        });
+
+        refresh();
+    }
+
+    /**
+     * Update the summary, and the dashboard if the panel is open
+     */
+    function refresh() {
+        const sessions = PracticeLog.getSessions();
+        const today = Notebook.toDateString();
+        const minutes = PracticeLog.dailyMinutes(sessions);
+        const streak = PracticeLog.streaks(sessions, today);
+
+        summary.textContent = sessions.length === 0
+            ? '(Nothing practised yet)'
+            : `(${minutes.get(today) || 0} min today · ${streak.current}-day streak)`;
+
+        if (panel.open) {
+            dashboard.replaceChildren(...renderDashboard(sessions, minutes, streak, today));
+        }
+    }
+
+    /**
+     * Build the dashboard content
+     * @returns {Array<HTMLElement>}
+     */
+    function renderDashboard(sessions, minutes, streak, today) {
+        const { el } = Dom;
+        if (sessions.length === 0) {
+            return [el('p', { className: 'hint' }, 'Sessions appear here once you play, shadow or drill a text.')];
+        }
+
+        let weekMinutes = 0;
+        for (let i = 0; i < 7; i++) {
+            weekMinutes += minutes.get(Notebook.addDays(today, -i)) || 0;
+        }
+
+        const stat = (value, label) => el('div', { className: 'progress-stat' },
+            el('span', { className: 'progress-stat-value' }, value),
+            el('span', { className: 'progress-stat-label' }, label)
+        );
+
+        const words = PracticeLog.topLookups(sessions);
+
+        return [
+            el('div', { className: 'progress-stats' },
+                stat(`${minutes.get(today) || 0} min`, 'today'),
+                stat(`${Math.round(weekMinutes)} min`, 'last 7 days'),
+                stat(`${streak.current} day${streak.current === 1 ? '' : 's'}`, `streak (best ${streak.longest})`),
+                stat(String(sessions.length), `session${sessions.length === 1 ? '' : 's'}`)
+            ),
+
+            el('h3', {}, `Minutes per day (last ${CHART_DAYS} days)`),
+            renderChart(minutes, today),
+
+            el('h3', {}, 'Practice calendar'),
+            renderHeatmap(minutes, today),
+
+            el('h3', {}, 'Most looked-up words'),
+            words.length > 0
+                ? el('div', { className: 'progress-words' }, words.map(({ word, count }) =>
+                    el('button', { type: 'button', className: 'progress-word', dataset: { word } },
+                        word, el('span', { className: 'hint' }, ` ×${count}`))
+                ))
+                : el('p', { className: 'hint' }, 'Click words in the text to look them up.'),
+
+            el('h3', {}, 'Recent sessions'),
+            renderRecent(sessions)
+        ];
+    }
+
+    /**
+     * Bar chart of the last CHART_DAYS days
+     */
+    function renderChart(minutes, today) {
+        const { el } = Dom;
+        const days = [];
+        for (let i = CHART_DAYS - 1; i >= 0; i--) {
+            days.push(Notebook.addDays(today, -i));
+        }
+        const most = Math.max(1, ...days.map(day => minutes.get(day) || 0));
+
+        return el('div', { className: 'progress-chart' }, days.map(day => {
+            const value = minutes.get(day) || 0;
+            const fill = el('span', { className: 'progress-chart-fill' });
+            fill.style.height = `${Math.round((value / most) * 100)}%`;
+            return el('div', { className: 'progress-chart-day', title: `${day}: ${value} min` },
+                fill,
+                el('span', { className: 'progress-chart-label' }, day.slice(8))
+            );
+        }));
+    }
+
+    /**
+     * Calendar heatmap: one column per week (Sunday first), HEATMAP_WEEKS weeks up to today
+     */
+    function renderHeatmap(minutes, today) {
+        const { el } = Dom;
+        const [y, m, d] = today.split('-').map(Number);
+        const weekday = new Date(y, m - 1, d).getDay();
+        const first = Notebook.addDays(today, -weekday - (HEATMAP_WEEKS - 1) * 7);
+
+        const cells = [];
+        for (let day = first; day <= today; day = Notebook.addDays(day, 1)) {
+            const value = minutes.get(day) || 0;
+            cells.push(el('span', {
+                className: `heatmap-day heat-${PracticeLog.levelFor(value)}`,
+                title: `${day}: ${value} min`
+            }));
+        }
+        return el('div', { className: 'progress-heatmap' }, cells);
+    }
+
+    /**
+     * Table of the latest sessions, newest first
+     */
+    function renderRecent(sessions) {
+        const { el } = Dom;
+        const rows = sessions.slice(-RECENT_SESSIONS).reverse().map(session => {
+            const scores = session.scores.length > 0
+                ? `${Math.round(session.scores.reduce((sum, score) => sum + score, 0) / session.scores.length)}%`
+                : '';
+            const time = new Date(session.startedAt).toTimeString().slice(0, 5);
+            const mode = MODE_LABELS[session.mode] || session.mode;
+            return el('tr', {},
+                el('td', {}, `${session.date} ${time}`),
+                el('td', {}, mode, session.recipe && session.recipe !== mode ? ` (${session.recipe})` : ''),
+                el('td', { className: 'progress-session-text', title: session.text }, session.text),
+                el('td', {}, `${Math.round(session.seconds / 6) / 10} min`),
+                el('td', {}, scores)
+            );
+        });
+
+        return el('div', { className: 'progress-table-wrap' },
+            el('table', { className: 'progress-table' },
+                el('thead', {}, el('tr', {},
+                    ['When', 'Mode', 'Text', 'Time', 'Score'].map(heading => el('th', {}, heading))
+                )),
+                el('tbody', {}, rows)
+            )
+        );
+    }
+
+    /**
+     * Open a most-looked-up word's card
+     */
+    function handleDashboardClick(event) {
+        const word = event.target.closest('.progress-word');
+        if (word) onShowWord(word.dataset.word);
+    }
+
+    // Public API
+    return {
+        init,
+        refresh
+    };
+})();
@@ -0,0 +1,196 @@
+/**
+ * Recipes Module - Configurable shadowing drills
+ *
+ * A recipe describes what happens to each sentence:
+ * {
+ *   id: 'recipe-1700000000000',
+ *   name: 'Ladder',
+ *   listenFirst: true,                 // play once at normal speed first
+ *   steps: [{ rate: 0.6, repeat: 3 }],  // follow-along plays, in order
+ *   gapFactor: 1.2                      // silence = utterance duration × factor
+ * }
+ */
+
+const Recipes = (function() {
+    const STORAGE_KEY = 'shadowing.recipes';
+
+    // Silence never drops below this, so there's always time to breathe
+    const MIN_GAP = 1000;
+
+    const DEFAULT_ID = 'default';
+
+    /**
+     * Read saved recipes from localStorage
+     * @returns {Array<Object>}
+     */
+    function loadSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.warn('Recipes: Could not read saved recipes', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write recipes to localStorage
+     */
+    function writeSaved(recipes) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(recipes));
+        } catch (error) {
+            console.warn('Recipes: Could not save recipes', error);
+        }
+    }
+
+    /**
+     * Get the built-in recipe: listen at normal speed, then follow once slowly
+     * @param {number} [slowRate] - Follow-along rate (the TTS slow rate)
+     */
+    function getDefault(slowRate = 0.7) {
+        return {
+            id: DEFAULT_ID,
+            name: 'Shadowing',
+            listenFirst: true,
+            steps: [{ rate: slowRate, repeat: 1 }],
+            gapFactor: 0
+        };
+    }
+
+    /**
+     * Get saved (user-defined) recipes
+     */
+    function getSaved() {
+        return loadSaved();
+    }
+
+    /**
+     * Find a recipe by id (built-in or saved)
+     */
+    function get(id) {
+        if (id === DEFAULT_ID) return getDefault();
+        return loadSaved().find(r => r.id === id) || null;
+    }
+
+    /**
+     * Save a recipe (insert or replace by id)
+     * @param {Object} recipe - Recipe without id to create a new one
+     * @returns {Object} The saved recipe
+     */
+    function save(recipe) {
+        const saved = loadSaved();
+        const entry = {
+            ...recipe,
+            id: recipe.id || `recipe-${Date.now()}`
+        };
+
+        const index = saved.findIndex(r => r.id === entry.id);
+        if (index >= 0) {
+            saved[index] = entry;
+        } else {
+            saved.push(entry);
+        }
+
+        writeSaved(saved);
+        return entry;
+    }
+
+    /**
+     * Delete a saved recipe
+     */
+    function remove(id) {
+        writeSaved(loadSaved().filter(r => r.id !== id));
+    }
+
+    /**
+     * Build a recipe from the editor form values
+     * @param {string} name - Recipe name
+     * @param {string} ratesText - Comma-separated rates, e.g. "0.6, 0.8, 1.0"
+     * @param {number} repeat - Repetitions per rate
+     * @param {boolean} listenFirst - Play once at normal speed before following
+     * @param {number} gapFactor - Silence as a multiple of utterance duration
+     * @returns {Object|null} Recipe, or null if no valid rate was given
+     */
+    function create(name, ratesText, repeat, listenFirst, gapFactor) {
+        const rates = ratesText.split(/[,\s→>]+/)
+            .map(parseFloat)
+            .filter(rate => rate >= 0.1 && rate <= 2);
+        if (rates.length === 0) return null;
+
+        const times = Math.max(1, Math.round(repeat) || 1);
+
+        return {
+            name: name.trim() || rates.map(formatRate).join(' → '),
+            listenFirst: !!listenFirst,
+            steps: rates.map(rate => ({ rate, repeat: times })),
+            gapFactor: Math.max(0, gapFactor || 0)
+        };
+    }
+
+    /**
+     * Expand a recipe into the flat list of plays for one sentence
+     * @param {Object} recipe - Recipe to expand
+     * @param {number} [listenRate] - Rate of the first listen (the TTS normal rate)
+     * @returns {Array<{phase: string, rate: number, round: number, rounds: number}>}
+     */
+    function expand(recipe, listenRate = 1.0) {
+        const plan = [];
+
+        if (recipe.listenFirst) {
+            plan.push({ phase: 'listen', rate: listenRate, round: 1, rounds: 1 });
+        }
+
+        recipe.steps.forEach(({ rate, repeat }) => {
+            const rounds = Math.max(1, repeat || 1);
+            for (let round = 1; round <= rounds; round++) {
+                plan.push({ phase: 'follow', rate, round, rounds });
+            }
+        });
+
+        return plan;
+    }
+
+    /**
+     * Silence after a play, scaled to how long the utterance took
+     * @param {Object} recipe - Active recipe
+     * @param {Object} step - Step that just finished
+     * @param {number} duration - Measured utterance duration in ms
+     * @returns {number} Gap in ms
+     */
+    function getGap(recipe, step, duration) {
+        if (step.phase === 'listen') return MIN_GAP;
+        return Math.max(MIN_GAP, Math.round(duration * (recipe.gapFactor || 0)));
+    }
+
+    /**
+     * Format a rate with at least one decimal (1 → "1.0")
+     */
+    function formatRate(rate) {
+        return Number.isInteger(rate) ? rate.toFixed(1) : String(rate);
+    }
+
+    /**
+     * Short label for the rates in a recipe (for buttons)
+     */
+    function describe(recipe) {
+        const ladder = recipe.steps
+            .map(({ rate, repeat }) => repeat > 1 ? `${formatRate(rate)}×${repeat}` : formatRate(rate))
+            .join(' → ');
+        return recipe.listenFirst ? `Listen → ${ladder}` : ladder;
+    }
+
+    // Public API
+    return {
+        getDefault,
+        getSaved,
+        get,
+        save,
+        remove,
+        create,
+        expand,
+        getGap,
+        describe,
+        formatRate
+    };
+})();
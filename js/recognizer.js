@@ -0,0 +1,134 @@
+/**
+ * Recognizer Module - Pluggable speech-to-text backends for scoring
+ *
+ * A backend looks like:
+ * {
+ *   label: 'Speech recognition',
+ *   isAvailable: () => boolean,
+ *   recognize: (context) => Promise<string>   // context: { reference, typed }
+ * }
+ */
+
+const Recognizer = (function() {
+    const backends = new Map();
+    let activeRecognition = null;
+
+    /**
+     * Register (or replace) a backend
+     * @param {string} name - Backend id
+     * @param {Object} backend - { label, isAvailable, recognize }
+     */
+    function register(name, backend) {
+        backends.set(name, backend);
+    }
+
+    /**
+     * Get a backend by id
+     */
+    function get(name) {
+        return backends.get(name) || null;
+    }
+
+    /**
+     * List backends that can run here
+     * @returns {Array<{name: string, label: string}>}
+     */
+    function list() {
+        return [...backends.entries()]
+            .filter(([, backend]) => !backend.hidden && backend.isAvailable())
+            .map(([name, backend]) => ({ name, label: backend.label }));
+    }
+
+    /**
+     * Get a transcript from a backend
+     * @param {string} name - Backend id
+     * @param {Object} context - { reference: string, typed: string }
+     * @returns {Promise<string>}
+     */
+    function recognize(name, context) {
+        const backend = get(name);
+        if (!backend || !backend.isAvailable()) {
+            return Promise.reject(new Error(`Recognizer "${name}" is not available`));
+        }
+        return backend.recognize(context);
+    }
+
+    /**
+     * Abort a running browser recognition
+     */
+    function abort() {
+        if (activeRecognition) {
+            activeRecognition.abort();
+            activeRecognition = null;
+        }
+    }
+
+    /**
+     * Create a backend that always returns a fixed transcript
+     * (or echoes the reference when none is given)
+     * @param {string} [transcript]
+     */
+    function createStub(transcript) {
+        return {
+            label: 'Stub',
+            hidden: true,
+            isAvailable: () => true,
+            recognize: (context) => Promise.resolve(
+                transcript !== undefined ? transcript : context.reference
+            )
+        };
+    }
+
+    // Browser SpeechRecognition (Chrome, Edge, Safari)
+    register('speech', {
+        label: 'Speak (microphone)',
+        isAvailable: () => typeof window !== 'undefined' &&
+            !!(window.SpeechRecognition || window.webkitSpeechRecognition),
+        recognize: () => new Promise((resolve, reject) => {
+            const SpeechRecognitionImpl = window.SpeechRecognition || window.webkitSpeechRecognition;
+            const recognition = new SpeechRecognitionImpl();
+            recognition.lang = 'en-US';
+            recognition.interimResults = false;
+            recognition.maxAlternatives = 1;
+
+            let transcript = '';
+            recognition.onresult = (event) => {
+                transcript = Array.from(event.results)
+                    .map(result => result[0].transcript)
+                    .join(' ');
+            };
+            recognition.onerror = (event) => {
+                activeRecognition = null;
+                reject(new Error(event.error));
+            };
+            recognition.onend = () => {
+                activeRecognition = null;
+                resolve(transcript);
+            };
+
+            abort();
+            activeRecognition = recognition;
+            recognition.start();
+        })
+    });
+
+    // Learner types what they said (or recalled) - works offline
+    register('typed', {
+        label: 'Type it',
+        isAvailable: () => true,
+        recognize: (context) => Promise.resolve(context.typed || '')
+    });
+
+    // Echoes the target text; swap with createStub() for fixed transcripts
+    register('stub', createStub());
+
+    // Public API
+    return {
+        register,
+        get,
+        list,
+        recognize,
+        abort,
+        createStub
+    };
+})();
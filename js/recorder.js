@@ -0,0 +1,219 @@
+/**
+ * Recorder Module - Record the learner's voice with MediaRecorder
+ *
+ * Takes are kept in memory per sentence (last N only). The media source
+ * can be swapped with configure() so the module runs against a stubbed
+ * stream when no microphone is present.
+ */
+
+const Recorder = (function() {
+    let getUserMedia = null;
+    let MediaRecorderImpl = null;
+    let createObjectURL = null;
+    let revokeObjectURL = null;
+
+    let stream = null;
+    let mediaRecorder = null;
+
+    // Data and start time of each recorder's take; a stopped recorder's late
+    // events land in its own entry, never in the next take's
+    const recordings = new WeakMap();
+    let maxTakes = 3;
+
+    // sentence text -> [{ url, blob, duration, createdAt }]
+    const takes = new Map();
+
+    /**
+     * Use the browser's media APIs by default
+     */
+    function useBrowserDefaults() {
+        const mediaDevices = typeof navigator !== 'undefined' ? navigator.mediaDevices : null;
+        getUserMedia = mediaDevices && mediaDevices.getUserMedia
+            ? (constraints) => mediaDevices.getUserMedia(constraints)
+            : null;
+        MediaRecorderImpl = typeof MediaRecorder !== 'undefined' ? MediaRecorder : null;
+        createObjectURL = (blob) => URL.createObjectURL(blob);
+        revokeObjectURL = (url) => URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Override media APIs (e.g. with a stubbed stream)
+     * @param {Object} options
+     * @param {Function} [options.getUserMedia] - (constraints) => Promise<MediaStream>
+     * @param {Function} [options.MediaRecorder] - MediaRecorder constructor
+     * @param {Function} [options.createObjectURL] - (blob) => string
+     * @param {Function} [options.revokeObjectURL] - (url) => void
+     * @param {number} [options.maxTakes] - Takes kept per sentence
+     */
+    function configure(options = {}) {
+        if ('getUserMedia' in options) getUserMedia = options.getUserMedia;
+        if ('MediaRecorder' in options) MediaRecorderImpl = options.MediaRecorder;
+        if (options.createObjectURL) createObjectURL = options.createObjectURL;
+        if (options.revokeObjectURL) revokeObjectURL = options.revokeObjectURL;
+        if (options.maxTakes) setMaxTakes(options.maxTakes);
+    }
+
+    /**
+     * Check if recording APIs exist at all
+     */
+    function isSupported() {
+        return !!(getUserMedia && MediaRecorderImpl);
+    }
+
+    /**
+     * Check if the microphone has been granted and is ready
+     */
+    function isEnabled() {
+        return stream !== null;
+    }
+
+    /**
+     * Ask for microphone access
+     * @returns {Promise<boolean>} false if no microphone is available
+     */
+    async function enable() {
+        if (stream) return true;
+        if (!isSupported()) return false;
+
+        try {
+            stream = await getUserMedia({ audio: true });
+            return true;
+        } catch (error) {
+            console.warn('Recorder: Microphone unavailable', error);
+            stream = null;
+            return false;
+        }
+    }
+
+    /**
+     * Release the microphone
+     */
+    function disable() {
+        if (isRecording()) {
+            mediaRecorder.stop();
+        }
+        if (stream && stream.getTracks) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+        stream = null;
+        mediaRecorder = null;
+    }
+
+    /**
+     * Check if a recording is in progress
+     */
+    function isRecording() {
+        return !!mediaRecorder && mediaRecorder.state === 'recording';
+    }
+
+    /**
+     * Start recording a take
+     * @returns {boolean} false if the microphone is not enabled
+     */
+    function start() {
+        if (!stream || isRecording()) return false;
+
+        const chunks = [];
+        mediaRecorder = new MediaRecorderImpl(stream);
+        mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        recordings.set(mediaRecorder, { chunks, startedAt: Date.now() });
+        mediaRecorder.start();
+        return true;
+    }
+
+    /**
+     * Stop recording and store the take under a sentence
+     * @param {string} key - Sentence the take belongs to
+     * @returns {Promise<Object|null>} The take, or null if nothing was recorded
+     */
+    function stop(key) {
+        if (!isRecording()) return Promise.resolve(null);
+
+        const recorder = mediaRecorder;
+        const { chunks, startedAt } = recordings.get(recorder);
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                // A new take may have started before this one finished stopping
+                if (mediaRecorder === recorder) mediaRecorder = null;
+                if (chunks.length === 0) {
+                    resolve(null);
+                    return;
+                }
+
+                const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+                const take = {
+                    blob,
+                    url: createObjectURL(blob),
+                    duration: Date.now() - startedAt,
+                    createdAt: new Date().toISOString()
+                };
+                addTake(key, take);
+                resolve(take);
+            };
+            recorder.stop();
+        });
+    }
+
+    /**
+     * Stop recording without keeping the take
+     */
+    function discard() {
+        if (!isRecording()) return;
+        mediaRecorder.onstop = null;
+        mediaRecorder.stop();
+        mediaRecorder = null;
+    }
+
+    /**
+     * Store a take, dropping the oldest beyond maxTakes
+     */
+    function addTake(key, take) {
+        const list = takes.get(key) || [];
+        list.push(take);
+        while (list.length > maxTakes) {
+            revokeObjectURL(list.shift().url);
+        }
+        takes.set(key, list);
+    }
+
+    /**
+     * Get takes for a sentence, oldest first
+     */
+    function getTakes(key) {
+        return takes.get(key) || [];
+    }
+
+    /**
+     * Set how many takes to keep per sentence
+     */
+    function setMaxTakes(count) {
+        maxTakes = Math.max(1, count);
+        takes.forEach((list, key) => {
+            while (list.length > maxTakes) {
+                revokeObjectURL(list.shift().url);
+            }
+            takes.set(key, list);
+        });
+    }
+
+    useBrowserDefaults();
+
+    // Public API
+    return {
+        configure,
+        isSupported,
+        isEnabled,
+        enable,
+        disable,
+        isRecording,
+        start,
+        stop,
+        discard,
+        getTakes,
+        setMaxTakes
+    };
+})();
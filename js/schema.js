@@ -0,0 +1,174 @@
+/**
+ * Dictionary Schema - Entry format for words.json and its validator
+ *
+ * Runs in the browser (Dictionary.load) and under Node
+ * (scripts/validate-dictionary.js), so it has no dependencies.
+ */
+
+const DictionarySchema = (function() {
+    // Fields of a words.json entry
+    const SCHEMA = {
+        translation: { type: 'string', required: true },
+        partOfSpeech: { type: 'string' },
+        breakdown: {
+            type: 'object',
+            fields: {
+                prefix: { type: 'string', pairedWith: 'prefixMeaning' },
+                prefixMeaning: { type: 'string', pairedWith: 'prefix' },
+                root: { type: 'string', pairedWith: 'rootMeaning' },
+                rootMeaning: { type: 'string', pairedWith: 'root' },
+                suffix: { type: 'string', pairedWith: 'suffixMeaning' },
+                suffixMeaning: { type: 'string', pairedWith: 'suffix' }
+            }
+        },
+        association: { type: 'string' },
+        family: { type: 'array', items: 'string' }
+    };
+
+    /**
+     * Normalize a key the way lookups do ("Look  Up" -> "look up")
+     */
+    function normalizeKey(word) {
+        return String(word).toLowerCase().replace(/[^a-z\s]/g, '').trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Type of a JSON value as the schema names it
+     */
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    /**
+     * Check fields against a schema level
+     * @param {Object} value - Object to check
+     * @param {Object} fields - Schema fields for this level
+     * @param {string} path - Field path prefix for messages, e.g. "breakdown."
+     * @param {Object} issues - { errors, warnings } to append to
+     */
+    function checkFields(value, fields, path, issues) {
+        Object.keys(value).forEach(name => {
+            if (!fields[name]) {
+                issues.warnings.push(`unknown field "${path}${name}"`);
+            }
+        });
+
+        Object.entries(fields).forEach(([name, rule]) => {
+            const field = value[name];
+            const fieldPath = path + name;
+
+            if (field === undefined || field === '') {
+                if (rule.required) {
+                    issues.errors.push(`missing "${fieldPath}"`);
+                } else if (rule.pairedWith && value[rule.pairedWith]) {
+                    issues.errors.push(`"${path}${rule.pairedWith}" has no "${fieldPath}"`);
+                }
+                return;
+            }
+
+            if (typeOf(field) !== rule.type) {
+                issues.errors.push(`"${fieldPath}" should be ${rule.type}, got ${typeOf(field)}`);
+                return;
+            }
+
+            if (rule.items && field.some(item => typeOf(item) !== rule.items)) {
+                issues.errors.push(`"${fieldPath}" should only contain ${rule.items} values`);
+            }
+
+            if (rule.fields) {
+                checkFields(field, rule.fields, `${fieldPath}.`, issues);
+            }
+        });
+    }
+
+    /**
+     * Validate one entry on its own (no cross-entry checks)
+     * @param {Object} entry - words.json value
+     * @returns {Object} { errors: string[], warnings: string[] }
+     */
+    function validateEntry(entry) {
+        const issues = { errors: [], warnings: [] };
+        if (typeOf(entry) !== 'object') {
+            issues.errors.push(`entry should be object, got ${typeOf(entry)}`);
+            return issues;
+        }
+        checkFields(entry, SCHEMA, '', issues);
+        return issues;
+    }
+
+    /**
+     * Validate a whole dictionary
+     * @param {Object} data - Parsed words.json (word -> entry)
+     * @param {Object} [options]
+     * @param {Function} [options.lemmatize] - Lemmatizer.lemmatize, so family words
+     *   like "looked" count as pointing to "look"
+     * @param {Function} [options.hasEntry] - (word) => boolean for entries that exist
+     *   outside `data`, e.g. in pack shards that are not loaded yet
+     * @returns {Object} {
+     *   valid: Object of entries safe to use,
+     *   errors: Array<{word, message}> for skipped entries,
+     *   warnings: Array<{word, message}> for entries kept as they are
+     * }
+     */
+    function validate(data, options = {}) {
+        const report = { valid: {}, errors: [], warnings: [] };
+        if (typeOf(data) !== 'object') {
+            report.errors.push({ word: '', message: `dictionary should be object, got ${typeOf(data)}` });
+            return report;
+        }
+
+        const keys = Object.keys(data);
+        const normalizedKeys = new Set(keys.filter(key => key === normalizeKey(key)));
+        const isKnown = word => normalizedKeys.has(word) ||
+            Boolean(options.hasEntry && options.hasEntry(word));
+        const pointsToEntry = member => {
+            const normalized = normalizeKey(member);
+            return isKnown(normalized) ||
+                Boolean(options.lemmatize && options.lemmatize(normalized, isKnown));
+        };
+
+        keys.forEach(word => {
+            const normalized = normalizeKey(word);
+            const { errors, warnings } = validateEntry(data[word]);
+
+            if (!normalized) {
+                errors.push('key has no letters');
+            } else if (word !== normalized) {
+                errors.push(normalizedKeys.has(normalized)
+                    ? `duplicate of "${normalized}" after normalization`
+                    : `key should be "${normalized}" (lowercase letters, single spaces)`);
+            }
+
+            if (errors.length === 0) {
+                (data[word].family || []).forEach(member => {
+                    if (!pointsToEntry(member)) {
+                        warnings.push(`family word "${member}" has no entry`);
+                    }
+                });
+            }
+
+            errors.forEach(message => report.errors.push({ word, message }));
+            warnings.forEach(message => report.warnings.push({ word, message }));
+            if (errors.length === 0) {
+                report.valid[word] = data[word];
+            }
+        });
+
+        return report;
+    }
+
+    // Public API
+    return {
+        SCHEMA,
+        normalizeKey,
+        validateEntry,
+        validate
+    };
+})();
+
+// Node (scripts/validate-dictionary.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DictionarySchema;
+}
@@ -0,0 +1,117 @@
+/**
+ * Scoring Module - Word-level alignment of a transcript against the target text
+ */
+
+const Scoring = (function() {
+    /**
+     * Normalize a word for comparison (case, apostrophes, punctuation)
+     */
+    function normalizeWord(word) {
+        return word.toLowerCase().replace(/[’']/g, '').replace(/[^\w]/g, '');
+    }
+
+    /**
+     * Split text into comparable words
+     * @param {string} text
+     * @returns {Array<string>} Original word tokens
+     */
+    function tokenize(text) {
+        return (text || '').match(/[\w'’]+/g) || [];
+    }
+
+    /**
+     * Align hypothesis words against reference words (Levenshtein with backtrace)
+     * @param {Array<string>} reference - Target words
+     * @param {Array<string>} hypothesis - Words the learner said
+     * @returns {Array<{type: string, refIndex: number, ref: string|null, hyp: string|null}>}
+     *   type is 'correct', 'substituted', 'missing' or 'inserted'; refIndex is the
+     *   reference position (for inserted words: the reference word it follows, or -1)
+     */
+    function align(reference, hypothesis) {
+        const ref = reference.map(normalizeWord);
+        const hyp = hypothesis.map(normalizeWord);
+        const rows = ref.length + 1;
+        const cols = hyp.length + 1;
+
+        // cost[i][j] = edit distance between ref[0..i) and hyp[0..j)
+        const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+        for (let i = 0; i < rows; i++) cost[i][0] = i;
+        for (let j = 0; j < cols; j++) cost[0][j] = j;
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const diagonal = cost[i - 1][j - 1] + (ref[i - 1] === hyp[j - 1] ? 0 : 1);
+                cost[i][j] = Math.min(diagonal, cost[i - 1][j] + 1, cost[i][j - 1] + 1);
+            }
+        }
+
+        // Walk back from the bottom-right corner
+        const ops = [];
+        let i = ref.length;
+        let j = hyp.length;
+
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0) {
+                const same = ref[i - 1] === hyp[j - 1];
+                if (cost[i][j] === cost[i - 1][j - 1] + (same ? 0 : 1)) {
+                    ops.push({
+                        type: same ? 'correct' : 'substituted',
+                        refIndex: i - 1,
+                        ref: reference[i - 1],
+                        hyp: hypothesis[j - 1]
+                    });
+                    i--;
+                    j--;
+                    continue;
+                }
+            }
+
+            if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+                ops.push({ type: 'missing', refIndex: i - 1, ref: reference[i - 1], hyp: null });
+                i--;
+            } else {
+                ops.push({ type: 'inserted', refIndex: i - 1, ref: null, hyp: hypothesis[j - 1] });
+                j--;
+            }
+        }
+
+        return ops.reverse();
+    }
+
+    /**
+     * Summarize an alignment
+     * @returns {{accuracy: number, correct: number, substituted: number,
+     *            missing: number, inserted: number, total: number}}
+     *   accuracy is correct words over reference words, minus insertions (0–100)
+     */
+    function summarize(ops) {
+        const counts = { correct: 0, substituted: 0, missing: 0, inserted: 0 };
+        ops.forEach(op => { counts[op.type]++; });
+
+        const total = counts.correct + counts.substituted + counts.missing;
+        const accuracy = total === 0
+            ? 0
+            : Math.max(0, Math.round(((counts.correct - counts.inserted) / total) * 100));
+
+        return { ...counts, total, accuracy };
+    }
+
+    /**
+     * Align a transcript against the target text and score it
+     * @param {Array<string>} referenceWords - Target words (e.g. rendered word spans)
+     * @param {string} transcript - What the learner said
+     */
+    function score(referenceWords, transcript) {
+        const ops = align(referenceWords, tokenize(transcript));
+        return { ops, ...summarize(ops) };
+    }
+
+    // Public API
+    return {
+        normalizeWord,
+        tokenize,
+        align,
+        summarize,
+        score
+    };
+})();
@@ -0,0 +1,142 @@
+/**
+ * Search Box - Dictionary search with a keyboard-navigable result list
+ *
+ * Results come from Dictionary.search(); picking one calls onSelect(word).
+ */
+
+const SearchBox = (function() {
+    const MAX_RESULTS = 8;
+
+    let input = null;
+    let list = null;
+    let onSelect = null;
+
+    let results = [];
+    let active = -1;
+
+    /**
+     * Initialize the search box
+     * @param {Object} options
+     * @param {Function} options.onSelect - (word) => void, when a result is picked
+     */
+    function init(options) {
+        input = document.getElementById('dictionarySearch');
+        list = document.getElementById('searchResults');
+        onSelect = options.onSelect;
+
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', handleKeydown);
+        input.addEventListener('focus', () => {
+            if (input.value.trim()) update();
+        });
+        input.addEventListener('blur', close);
+
+        // Keep focus in the input so blur doesn't close the list before the click
+        list.addEventListener('mousedown', event => event.preventDefault());
+        list.addEventListener('click', event => {
+            const item = event.target.closest('.search-result');
+            if (item) choose(Number(item.dataset.index));
+        });
+    }
+
+    /**
+     * Search for the current input and show the results
+     */
+    function update() {
+        results = Dictionary.search(input.value, { limit: MAX_RESULTS });
+        active = results.length > 0 ? 0 : -1;
+        render();
+    }
+
+    /**
+     * Draw the result list
+     */
+    function render() {
+        const { el } = Dom;
+        const query = input.value.trim();
+
+        list.replaceChildren(...results.map(({ word, translation, match }, i) =>
+            el('li', {
+                id: `searchResult${i}`,
+                className: i === active ? 'search-result active' : 'search-result',
+                dataset: { index: i }
+            },
+                el('span', { className: 'search-result-word' }, word),
+                el('span', { className: 'search-result-translation' }, translation),
+                match === 'similar' ? el('span', { className: 'search-result-match' }, 'similar spelling') : null
+            )
+        ));
+        if (query && results.length === 0) {
+            list.appendChild(el('li', { className: 'search-empty' }, `No words match "${query}"`));
+        }
+
+        list.querySelectorAll('.search-result').forEach(item => {
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(item.classList.contains('active')));
+        });
+
+        list.hidden = !query;
+        input.setAttribute('aria-expanded', String(!list.hidden));
+        if (active >= 0) {
+            input.setAttribute('aria-activedescendant', `searchResult${active}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Arrow keys move through the results, Enter picks, Escape closes then clears
+     */
+    function handleKeydown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (list.hidden) {
+                update();
+                return;
+            }
+            if (results.length === 0) return;
+
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            active = (active + step + results.length) % results.length;
+            render();
+
+            const item = document.getElementById(`searchResult${active}`);
+            if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (active >= 0) choose(active);
+        } else if (event.key === 'Escape') {
+            if (list.hidden) {
+                input.value = '';
+            } else {
+                close();
+            }
+        }
+    }
+
+    /**
+     * Pick a result
+     */
+    function choose(index) {
+        const result = results[index];
+        if (!result) return;
+
+        input.value = result.word;
+        close();
+        onSelect(result.word);
+    }
+
+    /**
+     * Hide the result list
+     */
+    function close() {
+        list.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
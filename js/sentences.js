@@ -0,0 +1,149 @@
+/**
+ * Sentences Module - Split text into sentences for per-sentence practice
+ */
+
+const Sentences = (function() {
+    // Abbreviations that end with a period but don't end a sentence
+    const ABBREVIATIONS = new Set([
+        'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt',
+        'vs', 'etc', 'approx', 'dept', 'inc', 'ltd', 'corp',
+        'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept',
+        'oct', 'nov', 'dec'
+    ]);
+
+    // Abbreviations that are also ordinary words ("The answer is no."),
+    // only taken as abbreviations before a number
+    const NUMBER_ABBREVIATIONS = new Set(['no', 'fig', 'vol', 'mar']);
+
+    // Closing quotes/brackets that may follow the sentence terminator
+    const CLOSERS = '"\'”’)]';
+
+    /**
+     * Check whether the period at `index` belongs to an abbreviation
+     * @param {string} text - Full text
+     * @param {number} index - Position of the period
+     */
+    function isAbbreviation(text, index) {
+        // Take the token that ends at this period
+        let start = index;
+        while (start > 0 && !/\s/.test(text[start - 1])) {
+            start--;
+        }
+        const token = text.slice(start, index).replace(/^["'“‘(\[]+/, '');
+        if (!token) return false;
+
+        // Known abbreviations (Mr., Dr., etc.)
+        const lower = token.toLowerCase();
+        if (ABBREVIATIONS.has(lower)) return true;
+
+        // No. 5, Fig. 2
+        if (NUMBER_ABBREVIATIONS.has(lower) && /^\s*\d/.test(text.slice(index + 1))) return true;
+
+        // Dotted acronyms (e.g., i.e., U.S., a.m.)
+        if (/^([a-z]\.)+[a-z]$/i.test(token)) return true;
+
+        // Single capital initial (J. K. Rowling)
+        if (/^[A-Z]$/.test(token)) return true;
+
+        return false;
+    }
+
+    /**
+     * Split text into sentences
+     * @param {string} text - Text to split
+     * @returns {Array<{text: string, start: number, end: number}>}
+     */
+    function split(text) {
+        const sentences = [];
+        if (!text) return sentences;
+
+        let start = 0;
+
+        const push = (end) => {
+            const raw = text.slice(start, end);
+            const trimmed = raw.trim();
+            if (trimmed) {
+                const offset = start + raw.indexOf(trimmed);
+                sentences.push({
+                    text: trimmed,
+                    start: offset,
+                    end: offset + trimmed.length
+                });
+            }
+            start = end;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // Blank line always ends a sentence
+            if (char === '\n' && /^\n[ \t]*\n/.test(text.slice(i))) {
+                push(i);
+                continue;
+            }
+
+            if (char !== '.' && char !== '!' && char !== '?') continue;
+
+            // Consume runs of terminators and closing quotes ("?!", '."')
+            let end = i + 1;
+            while (end < text.length && ('.!?'.includes(text[end]) || CLOSERS.includes(text[end]))) {
+                end++;
+            }
+
+            // Must be followed by whitespace or end of text
+            if (end < text.length && !/\s/.test(text[end])) {
+                i = end - 1;
+                continue;
+            }
+
+            // A lowercase continuation means we're still in the same sentence
+            // (He said "Hi!" to me.)
+            const next = text.slice(end).match(/\S/);
+            if (next && /[a-z]/.test(next[0])) {
+                i = end - 1;
+                continue;
+            }
+
+            // Single period after an abbreviation doesn't end the sentence
+            if (char === '.' && end === i + 1 && isAbbreviation(text, i)) {
+                i = end - 1;
+                continue;
+            }
+
+            push(end);
+            i = end - 1;
+        }
+
+        push(text.length);
+        return sentences;
+    }
+
+    /**
+     * Split text into words (with inner apostrophes), punctuation clusters and whitespace
+     * @param {string} text - Text to split
+     * @returns {Array<{text: string, start: number, end: number, type: string}>}
+     *   type is 'word', 'punctuation' or 'space'
+     */
+    function tokenize(text) {
+        const pattern = /\w+(?:['’]\w+)*|[^\w\s]+|\s+/g;
+        const tokens = [];
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const value = match[0];
+            tokens.push({
+                text: value,
+                start: match.index,
+                end: match.index + value.length,
+                type: /^\s/.test(value) ? 'space' : /^\w/.test(value) ? 'word' : 'punctuation'
+            });
+        }
+        return tokens;
+    }
+
+    // Public API
+    return {
+        split,
+        tokenize,
+        isAbbreviation
+    };
+})();
@@ -0,0 +1,208 @@
+/**
+ * Subtitles Module - Turn SRT / WebVTT subtitles into shadowing sentences
+ *
+ * Cue text is cleaned of markup (<i>, <v Speaker>, {\an8}), sound
+ * descriptions ([Music], (laughs)) and speaker labels, then cues are merged
+ * until a sentence ends, so a sentence split over two cues is practised
+ * whole. Each sentence keeps the time range it covers in the video.
+ */
+
+const Subtitles = (function() {
+    // Timing line: "00:01:02,500 --> 00:01:04,000" (SRT) or "01:02.500 --> 01:04.000 align:start" (VTT)
+    const TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+
+    // A pause this long (seconds) between cues ends a sentence even without punctuation
+    const MAX_GAP = 3;
+
+    // Unpunctuated captions are cut at the next cue end after this many words
+    const MAX_WORDS = 40;
+
+    // Sentence end, optionally followed by closing quotes/brackets
+    const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+
+    // Speaker labels: names of two or more capitals ("JOHN:", "DR. SMITH:", but not "I:")
+    // and roles ("Speaker 2:", "Narrator:")
+    const SPEAKER_NAME = /^[A-Z][A-Z0-9 .'-]*[A-Z0-9.]:\s*/;
+    const SPEAKER_ROLE = /^(?:speaker|narrator|host|interviewer|guest)\s*\d*:\s*/i;
+
+    // Dialogue dash or ">>" starting a line, or a second speaker's turn after
+    // a sentence end ("- Really? - Yes!")
+    const TURN_START = /^\s*(?:-+|–|—|>>)\s*/;
+    const TURN_MARKER = /(?<=[.!?…]["'”’)\]]*)\s+(?:-+|–|—|>>)\s+/;
+
+    const ENTITIES = {
+        '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'",
+        '&nbsp;': ' ', '&lrm;': '', '&rlm;': ''
+    };
+
+    /**
+     * Check if text looks like an SRT or VTT file
+     */
+    function isSubtitle(text) {
+        return (text || '').split('\n').some(line => TIMING.test(line));
+    }
+
+    /**
+     * Parse a timestamp to seconds ("01:02:03,500" -> 3723.5, "02:03.5" -> 123.5)
+     */
+    function parseTime(value) {
+        const [clock, fraction] = value.split(/[,.]/);
+        const seconds = clock.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+        return seconds + Number(`0.${fraction}`);
+    }
+
+    /**
+     * Format seconds for display (83.5 -> "01:23", 3723 -> "1:02:03")
+     */
+    function formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        const h = Math.floor(whole / 3600);
+        const m = String(Math.floor(whole / 60) % 60).padStart(2, '0');
+        const s = String(whole % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
+    }
+
+    /**
+     * Strip markup, sound descriptions and speaker labels from cue text
+     * @param {string} text - Cue text, possibly several lines
+     * @returns {string} One line of plain text (empty for sound-only cues)
+     */
+    function clean(text) {
+        return text
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/&(?:amp|lt|gt|quot|#39|nbsp|lrm|rlm);/g, entity => ENTITIES[entity])
+            .split('\n')
+            .flatMap(line => line.split(TURN_MARKER))
+            .map(turn => turn
+                .replace(TURN_START, '')
+                .replace(/\[[^\]]*\]|\([^)]*\)|♪|♫/g, '')
+                .trim()
+                .replace(SPEAKER_NAME, '')
+                .replace(SPEAKER_ROLE, ''))
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Read the cues of an SRT or VTT file
+     * @param {string} text - File contents
+     * @returns {Array<{startTime, endTime, text}>} Cleaned cues in file order,
+     *   times in seconds; cues with no speech left after cleaning are dropped
+     */
+    function parse(text) {
+        const cues = [];
+        const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+
+        blocks.forEach(block => {
+            // Header, NOTE, STYLE and REGION blocks have no timing line
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => TIMING.test(line));
+            if (timingIndex === -1) return;
+
+            const [, start, end] = lines[timingIndex].match(TIMING);
+            const cueText = clean(lines.slice(timingIndex + 1).join('\n'));
+            if (!cueText) return;
+
+            const previous = cues[cues.length - 1];
+            if (previous && previous.text === cueText) {
+                // Repeated caption (rolling auto-captions): extend it
+                previous.endTime = parseTime(end);
+                return;
+            }
+            cues.push({ startTime: parseTime(start), endTime: parseTime(end), text: cueText });
+        });
+
+        return cues;
+    }
+
+    /**
+     * Check if a cue ends a sentence; a final period can belong to an
+     * abbreviation or initial instead ("Mr." + "Smith.", "the U.S." + "economy")
+     * @param {string} text - Cue text
+     * @param {string} [following] - Text of the next cue
+     */
+    function endsSentence(text, following = '') {
+        if (!SENTENCE_END.test(text)) return false;
+        if (!/[^.]\.$/.test(text)) return true;
+        return !Sentences.isAbbreviation(`${text} ${following}`, text.length - 1);
+    }
+
+    /**
+     * Merge cues into whole sentences
+     * @param {Array} cues - Result of parse()
+     * @returns {Array<{text, startTime, endTime}>} One entry per sentence; a cue
+     *   holding several sentences is split, with times interpolated within the cue
+     */
+    function toSentences(cues) {
+        const sentences = [];
+        let group = [];
+
+        const flush = () => {
+            if (group.length === 0) return;
+
+            // Character range of each cue in the joined text, to time sentences inside it
+            let offset = 0;
+            const spans = group.map(cue => {
+                const span = { ...cue, from: offset, to: offset + cue.text.length };
+                offset = span.to + 1;
+                return span;
+            });
+            const timeAt = position => {
+                const span = spans.find(s => position <= s.to) || spans[spans.length - 1];
+                const ratio = span.to > span.from
+                    ? Math.min(1, Math.max(0, (position - span.from) / (span.to - span.from)))
+                    : 0;
+                return span.startTime + ratio * (span.endTime - span.startTime);
+            };
+
+            const text = group.map(cue => cue.text).join(' ');
+            Sentences.split(text).forEach(sentence => {
+                sentences.push({
+                    text: sentence.text,
+                    startTime: timeAt(sentence.start),
+                    endTime: timeAt(sentence.end)
+                });
+            });
+            group = [];
+        };
+
+        cues.forEach((cue, i) => {
+            const last = group[group.length - 1];
+            if (last && cue.startTime - last.endTime > MAX_GAP) {
+                flush();
+            }
+
+            group.push(cue);
+
+            const words = group.reduce((count, c) => count + c.text.split(' ').length, 0);
+            const next = cues[i + 1];
+            if (endsSentence(cue.text, next && next.text) || words >= MAX_WORDS) {
+                flush();
+            }
+        });
+        flush();
+
+        return sentences;
+    }
+
+    /**
+     * Parse a subtitle file straight into sentences
+     * @param {string} text - SRT or VTT contents
+     * @returns {Array<{text, startTime, endTime}>}
+     */
+    function load(text) {
+        return toSentences(parse(text));
+    }
+
+    // Public API
+    return {
+        isSubtitle,
+        parse,
+        clean,
+        toSentences,
+        load,
+        formatTime
+    };
+})();
@@ -0,0 +1,99 @@
+/**
+ * Timing Module - Estimate when each word is spoken
+ *
+ * Used by the fallback highlighter when the voice doesn't fire boundary
+ * events. Words are weighted by syllables (plus pauses at punctuation),
+ * and the time per weight unit is learned from real boundary/end events.
+ */
+
+const Timing = (function() {
+    // Starting guess: ~150 wpm at rate 1.0 for 1.5-syllable words
+    const DEFAULT_MS_PER_UNIT = 260;
+
+    // How much each new observation moves the estimate
+    const SMOOTHING = 0.3;
+
+    // Ignore observations over too little speech to be meaningful
+    const MIN_UNITS = 3;
+
+    let msPerUnit = DEFAULT_MS_PER_UNIT;
+
+    /**
+     * Estimate syllables in a word (vowel groups, minus silent e)
+     */
+    function syllables(word) {
+        const lower = word.toLowerCase().replace(/['’]/g, '');
+
+        // Digits are read out roughly one unit each
+        const digits = (lower.match(/\d/g) || []).length;
+        const letters = lower.replace(/[^a-z]/g, '');
+        if (!letters) return Math.max(1, digits);
+
+        let count = (letters.match(/[aeiouy]+/g) || []).length;
+
+        // Silent trailing e (make, time) but not -le (table)
+        if (/[^aeiouy]e$/.test(letters) && !/[^aeiouy]le$/.test(letters) && count > 1) {
+            count--;
+        }
+
+        return Math.max(1, count) + digits;
+    }
+
+    /**
+     * Extra pause units for punctuation after a word
+     */
+    function pauseAfter(punctuation) {
+        if (!punctuation) return 0;
+        if (/[.!?]/.test(punctuation)) return 2;
+        if (/[,;:—–-]/.test(punctuation)) return 1;
+        return 0;
+    }
+
+    /**
+     * Start time (ms from speech start) of each word
+     * @param {Array<number>} weights - Weight units per word (incl. pause after it)
+     * @param {number} rate - Speech rate
+     * @returns {Array<number>}
+     */
+    function schedule(weights, rate) {
+        const unit = msPerUnit / (rate || 1);
+        const starts = [];
+        let elapsed = 0;
+
+        weights.forEach(weight => {
+            starts.push(Math.round(elapsed));
+            elapsed += weight * unit;
+        });
+
+        return starts;
+    }
+
+    /**
+     * Learn from real timing
+     * @param {number} elapsed - ms since speech start
+     * @param {number} units - Weight units spoken in that time
+     * @param {number} rate - Speech rate used
+     */
+    function observe(elapsed, units, rate) {
+        if (units < MIN_UNITS || elapsed <= 0) return;
+
+        const observed = (elapsed * (rate || 1)) / units;
+        msPerUnit = msPerUnit * (1 - SMOOTHING) + observed * SMOOTHING;
+    }
+
+    /**
+     * Current learned time per weight unit at rate 1.0
+     */
+    function getMsPerUnit() {
+        return msPerUnit;
+    }
+
+    // Public API
+    return {
+        syllables,
+        pauseAfter,
+        schedule,
+        observe,
+        getMsPerUnit
+    };
+})();
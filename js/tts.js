@@ -1,17 +1,46 @@
 /**
  * TTS Module - Text-to-Speech using SpeechSynthesisUtterance
+ *
+ * Playback runs through a queue of utterances and silences. speak(),
+ * enqueue() and wait() return promises that resolve to true when the item
+ * finished, or false when it was cancelled by stop(). Any number of
+ * listeners can subscribe to start, boundary, end, error, pause, resume
+ * and cancel events with on().
  */
 
 const TTS = (function() {
+    const STORAGE_KEY = 'tts.settings';
+
+    const DEFAULT_SETTINGS = {
+        voiceURI: null,
+        rate: 1.0,
+        slowRate: 0.7,
+        pitch: 1,
+        volume: 1
+    };
+
     let voices = [];
     let englishVoice = null;
-    let currentUtterance = null;
     let isReady = false;
+    let settings = loadSettings();
 
-    // Callbacks
-    let onBoundary = null;
-    let onEnd = null;
-    let onStart = null;
+    // Playback queue
+    let queue = [];
+    let currentItem = null;
+    let isPaused = false;
+    let lastDuration = 0;
+
+    // Event subscribers
+    const listeners = {
+        start: [],
+        boundary: [],
+        end: [],
+        error: [],
+        pause: [],
+        resume: [],
+        cancel: [],
+        voiceschanged: []
+    };
 
     // Initialize voices
     function init() {
@@ -19,8 +48,9 @@ const TTS = (function() {
             const loadVoices = () => {
                 voices = speechSynthesis.getVoices();
 
-                // Find English voice (prefer en-US, fallback to any English)
-                englishVoice = voices.find(v => v.lang === 'en-US') ||
+                // Saved voice first, then prefer en-US, fallback to any English
+                englishVoice = voices.find(v => v.voiceURI === settings.voiceURI) ||
+                               voices.find(v => v.lang === 'en-US') ||
                                voices.find(v => v.lang === 'en-GB') ||
                                voices.find(v => v.lang.startsWith('en'));
 
@@ -35,6 +65,9 @@ const TTS = (function() {
                     console.log('TTS ready with fallback voice:', englishVoice.name);
                     resolve(true);
                 }
+
+                // The browser may add voices later (Chrome, voice packs installed meanwhile)
+                emit('voiceschanged');
             };
 
             // Chrome loads voices asynchronously
@@ -59,119 +92,310 @@ const TTS = (function() {
     }
 
     /**
-     * Speak text with specified rate
+     * Read saved settings from localStorage
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return { ...DEFAULT_SETTINGS, ...saved };
+        } catch (error) {
+            console.warn('TTS: Could not read saved settings', error);
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Get current voice/prosody settings
+     * @returns {{voiceURI: string|null, rate: number, slowRate: number, pitch: number, volume: number}}
+     */
+    function getSettings() {
+        return { ...settings };
+    }
+
+    /**
+     * Update and persist settings
+     * @param {Object} changes - Any of voiceURI, rate, slowRate, pitch, volume
+     */
+    function updateSettings(changes) {
+        settings = { ...settings, ...changes };
+
+        if ('voiceURI' in changes) {
+            englishVoice = voices.find(v => v.voiceURI === settings.voiceURI) || englishVoice;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('TTS: Could not save settings', error);
+        }
+    }
+
+    /**
+     * Subscribe to a playback event
+     * @param {string} event - start, boundary, end, error, pause, resume, cancel
+     *   or voiceschanged
+     * @param {Function} handler - (detail) => void; detail has text, rate, source
+     *   (and charIndex/charLength for boundary, duration for end, error for error)
+     * @returns {Function} Unsubscribe function
+     */
+    function on(event, handler) {
+        if (!listeners[event]) {
+            throw new Error(`TTS: Unknown event "${event}"`);
+        }
+        listeners[event].push(handler);
+        return () => off(event, handler);
+    }
+
+    /**
+     * Unsubscribe from a playback event
+     */
+    function off(event, handler) {
+        if (listeners[event]) {
+            listeners[event] = listeners[event].filter(h => h !== handler);
+        }
+    }
+
+    /**
+     * Notify subscribers (one failing handler doesn't stop the others)
+     */
+    function emit(event, detail = {}) {
+        listeners[event].slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`TTS: ${event} handler failed`, error);
+            }
+        });
+    }
+
+    /**
+     * Stop whatever is playing and speak text
      * @param {string} text - Text to speak
-     * @param {number} rate - Speed rate (0.1 to 2, default 1)
-     * @returns {SpeechSynthesisUtterance}
+     * @param {Object} [options] - See enqueue()
+     * @returns {Promise<boolean>} true when finished, false if cancelled or failed
      */
-    function speak(text, rate = 1) {
+    function speak(text, options = {}) {
         // Cancel any ongoing speech
         stop();
+        return enqueue(text, options);
+    }
+
+    /**
+     * Add text to the end of the playback queue
+     * @param {string} text - Text to speak
+     * @param {Object} [options]
+     * @param {number} [options.rate] - Speed rate (0.1 to 2, default settings.rate)
+     * @param {SpeechSynthesisVoice} [options.voice] - Voice other than the selected one
+     * @param {string} [options.source] - Tag passed to event subscribers ('text' by default)
+     * @returns {Promise<boolean>} true when finished, false if cancelled or failed
+     */
+    function enqueue(text, options = {}) {
+        return addToQueue({ type: 'speech', text, options });
+    }
+
+    /**
+     * Add a silence to the end of the playback queue
+     * @param {number|Function} ms - Duration, or (lastDuration) => duration where
+     *   lastDuration is how long the previous utterance took to speak
+     * @returns {Promise<boolean>} true when the silence elapsed, false if cancelled
+     */
+    function wait(ms) {
+        return addToQueue({ type: 'wait', ms });
+    }
+
+    /**
+     * Queue an item and start playback if idle
+     */
+    function addToQueue(item) {
+        return new Promise((resolve) => {
+            queue.push({ ...item, resolve });
+            if (!currentItem) playNext();
+        });
+    }
 
+    /**
+     * Start the next queued item
+     */
+    function playNext() {
+        currentItem = queue.shift() || null;
+        if (!currentItem) return;
+
+        if (currentItem.type === 'wait') {
+            startWait(currentItem);
+        } else {
+            startSpeech(currentItem);
+        }
+    }
+
+    /**
+     * Settle an item and move on to the next one
+     */
+    function finish(item, completed) {
+        if (item !== currentItem) return;
+        currentItem = null;
+        item.resolve(completed);
+        playNext();
+    }
+
+    /**
+     * Speak a queued utterance
+     */
+    function startSpeech(item) {
+        const { text, options } = item;
         const utterance = new SpeechSynthesisUtterance(text);
+        const useVoice = options.voice || englishVoice;
+        const rate = options.rate || settings.rate;
 
-        if (englishVoice) {
-            utterance.voice = englishVoice;
+        if (useVoice) {
+            utterance.voice = useVoice;
         }
 
-        utterance.lang = 'en-US';
+        utterance.lang = useVoice ? useVoice.lang : 'en-US';
         utterance.rate = rate;
-        utterance.pitch = 1;
-        utterance.volume = 1;
+        utterance.pitch = settings.pitch;
+        utterance.volume = settings.volume;
+
+        const detail = {
+            text,
+            rate,
+            voice: useVoice,
+            source: options.source || 'text'
+        };
+        item.startedAt = Date.now();
 
-        // Event handlers
+        // Events from utterances cancelled by stop() are ignored
         utterance.onstart = () => {
-            if (onStart) onStart();
+            if (item !== currentItem) return;
+            item.startedAt = Date.now();
+            emit('start', detail);
         };
 
         utterance.onboundary = (event) => {
-            if (event.name === 'word' && onBoundary) {
-                onBoundary(event.charIndex, event.charLength);
-            }
+            if (item !== currentItem || event.name !== 'word') return;
+            emit('boundary', { ...detail, charIndex: event.charIndex, charLength: event.charLength });
         };
 
         utterance.onend = () => {
-            currentUtterance = null;
-            if (onEnd) onEnd();
+            if (item !== currentItem) return;
+            lastDuration = Date.now() - item.startedAt;
+            emit('end', { ...detail, duration: lastDuration });
+            finish(item, true);
         };
 
         utterance.onerror = (event) => {
+            if (item !== currentItem) return;
             console.error('TTS Error:', event.error);
-            currentUtterance = null;
-            if (onEnd) onEnd();
+            emit('error', { ...detail, error: event.error });
+            finish(item, false);
         };
 
-        currentUtterance = utterance;
+        item.utterance = utterance;
         speechSynthesis.speak(utterance);
-
-        return utterance;
     }
 
     /**
-     * Speak at normal speed (1.0)
+     * Start a queued silence
      */
-    function speakNormal(text) {
-        return speak(text, 1.0);
+    function startWait(item) {
+        item.remaining = typeof item.ms === 'function' ? item.ms(lastDuration) : item.ms;
+        if (!isPaused) {
+            runWaitTimer(item);
+        }
     }
 
     /**
-     * Speak at slow speed (0.7)
+     * Run (or continue) a silence's timer
      */
-    function speakSlow(text) {
-        return speak(text, 0.7);
+    function runWaitTimer(item) {
+        item.resumedAt = Date.now();
+        item.timer = setTimeout(() => finish(item, true), Math.max(0, item.remaining));
     }
 
     /**
-     * Stop current speech
+     * Speak at normal speed (settings.rate, default 1.0)
      */
-    function stop() {
-        speechSynthesis.cancel();
-        currentUtterance = null;
+    function speakNormal(text, options = {}) {
+        return speak(text, { ...options, rate: settings.rate });
     }
 
     /**
-     * Pause current speech
+     * Speak at slow speed (settings.slowRate, default 0.7)
      */
-    function pause() {
-        speechSynthesis.pause();
+    function speakSlow(text, options = {}) {
+        return speak(text, { ...options, rate: settings.slowRate });
     }
 
     /**
-     * Resume paused speech
+     * Stop current speech and cancel everything queued
      */
-    function resume() {
-        speechSynthesis.resume();
+    function stop() {
+        const pending = [currentItem, ...queue].filter(Boolean);
+        const wasPaused = isPaused;
+
+        if (currentItem && currentItem.timer) {
+            clearTimeout(currentItem.timer);
+        }
+        queue = [];
+        currentItem = null;
+        isPaused = false;
+
+        // A paused engine would swallow the next utterance
+        if (wasPaused) {
+            speechSynthesis.resume();
+        }
+        speechSynthesis.cancel();
+
+        pending.forEach(item => item.resolve(false));
+        if (pending.length > 0) {
+            emit('cancel');
+        }
     }
 
     /**
-     * Check if currently speaking
+     * Pause current speech (or silence)
      */
-    function isSpeaking() {
-        return speechSynthesis.speaking;
+    function pause() {
+        if (!currentItem || isPaused) return;
+        isPaused = true;
+
+        if (currentItem.type === 'wait') {
+            clearTimeout(currentItem.timer);
+            currentItem.remaining -= Date.now() - currentItem.resumedAt;
+        } else {
+            speechSynthesis.pause();
+        }
+
+        emit('pause');
     }
 
     /**
-     * Set callback for word boundary events
-     * @param {Function} callback - (charIndex, charLength) => void
+     * Resume paused speech (or silence)
      */
-    function setOnBoundary(callback) {
-        onBoundary = callback;
+    function resume() {
+        if (!isPaused) return;
+        isPaused = false;
+
+        if (currentItem && currentItem.type === 'wait') {
+            runWaitTimer(currentItem);
+        } else {
+            speechSynthesis.resume();
+        }
+
+        emit('resume');
     }
 
     /**
-     * Set callback for speech end
-     * @param {Function} callback - () => void
+     * Check if anything is playing or queued (including silences)
      */
-    function setOnEnd(callback) {
-        onEnd = callback;
+    function isSpeaking() {
+        return currentItem !== null;
     }
 
     /**
-     * Set callback for speech start
-     * @param {Function} callback - () => void
+     * Check if playback is paused
      */
-    function setOnStart(callback) {
-        onStart = callback;
+    function isPausedState() {
+        return isPaused;
     }
 
     /**
@@ -181,6 +405,26 @@ const TTS = (function() {
         return voices;
     }
 
+    /**
+     * Get English voices grouped by locale (en-GB, en-US, ...)
+     * @returns {Array<{lang: string, voices: Array<SpeechSynthesisVoice>}>}
+     */
+    function getEnglishVoicesByLocale() {
+        const groups = new Map();
+
+        voices
+            .filter(v => v.lang.toLowerCase().startsWith('en'))
+            .forEach(v => {
+                const lang = v.lang.replace('_', '-');
+                if (!groups.has(lang)) groups.set(lang, []);
+                groups.get(lang).push(v);
+            });
+
+        return [...groups.keys()]
+            .sort()
+            .map(lang => ({ lang, voices: groups.get(lang) }));
+    }
+
     /**
      * Get current English voice
      */
@@ -194,14 +438,19 @@ const TTS = (function() {
         speak,
         speakNormal,
         speakSlow,
+        enqueue,
+        wait,
         stop,
         pause,
         resume,
         isSpeaking,
-        setOnBoundary,
-        setOnEnd,
-        setOnStart,
+        isPaused: isPausedState,
+        on,
+        off,
         getVoices,
-        getCurrentVoice
+        getEnglishVoicesByLocale,
+        getCurrentVoice,
+        getSettings,
+        updateSettings
     };
 })();
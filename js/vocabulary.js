@@ -0,0 +1,211 @@
+/**
+ * Vocabulary Module - Coverage and difficulty of a text
+ *
+ * Each running word is sorted into the learner's notebook, the dictionary,
+ * or unknown, and given a CEFR level from data/levels.json. The text's
+ * level is the lowest one whose words (and all easier ones) cover
+ * TARGET_COVERAGE percent of it. Names and numbers are left out.
+ *
+ * Words waiting for dictionary entries are queued locally (localStorage).
+ */
+
+const Vocabulary = (function() {
+    const QUEUE_KEY = 'dictionary.queue';
+
+    const LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1'];
+
+    // Level of words missing from every list
+    const BEYOND_LEVEL = 'C2';
+
+    // Share of a text's words a reader needs to know to follow it comfortably
+    const TARGET_COVERAGE = 95;
+
+    // Negatives whose stem isn't the base ("won't" -> will)
+    const IRREGULAR_NEGATIVES = { "can't": 'can', "won't": 'will', "shan't": 'shall' };
+    const CONTRACTION = /(?:n't|'s|'re|'ve|'ll|'d|'m)$/;
+
+    // Punctuation ending a sentence, so the next word may be capitalized
+    const SENTENCE_END = /[.!?…:]/;
+
+    // word -> level
+    let wordLevels = new Map();
+
+    /**
+     * Load the word lists
+     * @returns {Promise<boolean>}
+     */
+    async function load() {
+        try {
+            const response = await fetch('data/levels.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+
+            wordLevels = new Map();
+            LEVELS.forEach(level => {
+                (data.levels[level] || []).forEach(word => {
+                    if (!wordLevels.has(word)) wordLevels.set(word, level);
+                });
+            });
+            console.log('Word levels loaded:', wordLevels.size);
+            return true;
+        } catch (error) {
+            console.error('Failed to load word levels:', error);
+            wordLevels = new Map();
+            return false;
+        }
+    }
+
+    /**
+     * Lowercase a word and drop a contraction ("didn't" -> did, "it's" -> it)
+     */
+    function baseForm(word) {
+        const lower = word.toLowerCase().replace(/’/g, "'");
+        return IRREGULAR_NEGATIVES[lower] || lower.replace(CONTRACTION, '');
+    }
+
+    /**
+     * CEFR level of a word, after reducing inflected forms
+     * @returns {string|null} null if no list has it
+     */
+    function levelOf(word) {
+        const base = baseForm(word);
+        if (wordLevels.has(base)) return wordLevels.get(base);
+
+        const lemma = Lemmatizer.lemmatize(base, candidate => wordLevels.has(candidate));
+        return lemma ? wordLevels.get(lemma.lemma) : null;
+    }
+
+    /**
+     * Analyse a text
+     * @param {string} text
+     * @param {Object} sources
+     * @param {Function} sources.lookup - (word) => entry with .word, or null (Dictionary.lookup)
+     * @param {Function} sources.isSaved - (word) => boolean, true if in the notebook
+     * @returns {Object} {
+     *   tokens,        // Sentences.tokenize() tokens; words also get key, status and level
+     *   total,         // running words counted (names and numbers are not)
+     *   counts,        // { notebook, dictionary, unknown } running words
+     *   coverage,      // % of counted words in the notebook or dictionary
+     *   levelShares,   // [{ level, share }] % covered by each level and the ones below
+     *   level,         // estimated level, 'A1' ... 'C2'
+     *   unknown        // [{ word, count, level, start }] in order of appearance, start
+     *                  // being the character offset of the first occurrence
+     * }
+     */
+    function analyse(text, { lookup, isSaved }) {
+        const tokens = Sentences.tokenize(text);
+        const counts = { notebook: 0, dictionary: 0, unknown: 0 };
+        const levelCounts = new Map();
+        const unknown = new Map();
+        let sentenceStart = true;
+
+        tokens.forEach(token => {
+            if (token.type === 'punctuation' && SENTENCE_END.test(token.text)) sentenceStart = true;
+            if (token.type !== 'word') return;
+
+            const base = baseForm(token.text);
+            const entry = lookup(base);
+            const level = levelOf(token.text);
+            token.key = entry ? entry.word : base;
+            token.level = level;
+
+            if (/\d/.test(token.text)) {
+                token.status = 'number';
+            } else if (isSaved(token.key) || isSaved(base)) {
+                token.status = 'notebook';
+            } else if (entry) {
+                token.status = 'dictionary';
+            } else if (!level && !sentenceStart && /^[A-Z]/.test(token.text)) {
+                // Capitalized mid-sentence and in no list: a name
+                token.status = 'name';
+            } else {
+                token.status = 'unknown';
+                const seen = unknown.get(token.key) || { word: token.key, count: 0, level, start: token.start };
+                seen.count++;
+                unknown.set(token.key, seen);
+            }
+            sentenceStart = false;
+
+            if (token.status in counts) {
+                counts[token.status]++;
+                const key = level || BEYOND_LEVEL;
+                levelCounts.set(key, (levelCounts.get(key) || 0) + 1);
+            }
+        });
+
+        const total = counts.notebook + counts.dictionary + counts.unknown;
+        const percent = count => (total === 0 ? 0 : Math.round((count / total) * 100));
+
+        let covered = 0;
+        const levelShares = LEVELS.map(level => {
+            covered += levelCounts.get(level) || 0;
+            return { level, share: percent(covered) };
+        });
+        const reached = levelShares.find(({ share }) => share >= TARGET_COVERAGE);
+
+        return {
+            tokens,
+            total,
+            counts,
+            coverage: percent(counts.notebook + counts.dictionary),
+            levelShares,
+            level: total === 0 ? null : reached ? reached.level : BEYOND_LEVEL,
+            unknown: [...unknown.values()]
+        };
+    }
+
+    /**
+     * Words queued for dictionary entries, oldest first
+     * @returns {Array<string>}
+     */
+    function getQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+        } catch (error) {
+            console.warn('Vocabulary: Could not read the word queue', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the queue to localStorage
+     */
+    function writeQueue(words) {
+        try {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(words));
+        } catch (error) {
+            console.warn('Vocabulary: Could not save the word queue', error);
+        }
+    }
+
+    /**
+     * Queue words for dictionary entries (already queued words keep their place)
+     * @returns {number} Words newly queued
+     */
+    function queue(words) {
+        const queued = getQueue();
+        const added = [...new Set(words)].filter(word => !queued.includes(word));
+        writeQueue([...queued, ...added]);
+        return added.length;
+    }
+
+    /**
+     * Take words off the queue
+     */
+    function unqueue(words) {
+        writeQueue(getQueue().filter(word => !words.includes(word)));
+    }
+
+    // Public API
+    return {
+        LEVELS,
+        load,
+        levelOf,
+        analyse,
+        getQueue,
+        queue,
+        unqueue
+    };
+})();
@@ -0,0 +1,94 @@
+/**
+ * Voice Settings Panel - Voice, speed, pitch and volume controls
+ *
+ * Changes go straight to TTS.updateSettings(), which persists them.
+ */
+
+const VoiceSettings = (function() {
+    // Slider id -> setting name
+    const SLIDERS = {
+        rateSlider: 'rate',
+        slowRateSlider: 'slowRate',
+        pitchSlider: 'pitch',
+        volumeSlider: 'volume'
+    };
+
+    let voiceSelect = null;
+
+    /**
+     * Initialize the panel
+     * @param {Object} options
+     * @param {Function} options.onCompare - Called when "play with every voice" is clicked
+     */
+    function init({ onCompare }) {
+        voiceSelect = document.getElementById('voiceSelect');
+
+        renderVoices();
+        TTS.on('voiceschanged', renderVoices);
+        voiceSelect.addEventListener('change', () => {
+            TTS.updateSettings({ voiceURI: voiceSelect.value });
+        });
+
+        const settings = TTS.getSettings();
+        Object.entries(SLIDERS).forEach(([id, key]) => {
+            const slider = document.getElementById(id);
+            slider.value = settings[key];
+            showValue(slider);
+
+            slider.addEventListener('input', () => {
+                showValue(slider);
+                TTS.updateSettings({ [key]: parseFloat(slider.value) });
+            });
+        });
+
+        document.getElementById('btnCompareVoices').addEventListener('click', onCompare);
+    }
+
+    /**
+     * List English voices grouped by locale
+     */
+    function renderVoices() {
+        voiceSelect.innerHTML = '';
+
+        const groups = TTS.getEnglishVoicesByLocale();
+        groups.forEach(({ lang, voices }) => {
+            const group = document.createElement('optgroup');
+            group.label = lang;
+            voices.forEach(voice => {
+                group.appendChild(new Option(voice.name, voice.voiceURI));
+            });
+            voiceSelect.appendChild(group);
+        });
+
+        const current = TTS.getCurrentVoice();
+        if (current) {
+            voiceSelect.value = current.voiceURI;
+        }
+        voiceSelect.disabled = groups.length === 0;
+    }
+
+    /**
+     * Show a slider's value next to it
+     */
+    function showValue(slider) {
+        const output = slider.parentElement.querySelector('output');
+        if (output) {
+            output.textContent = slider.id === 'volumeSlider'
+                ? `${Math.round(slider.value * 100)}%`
+                : `${parseFloat(slider.value).toFixed(2)}`;
+        }
+    }
+
+    /**
+     * Enable/disable the compare button during playback
+     */
+    function setBusy(busy) {
+        document.getElementById('btnCompareVoices').disabled = busy;
+    }
+
+    // Public API
+    return {
+        init,
+        setBusy
+    };
+})();
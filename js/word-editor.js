@@ -0,0 +1,175 @@
+/**
+ * Word Editor - Form for adding or editing a dictionary entry
+ *
+ * Saves go to Dictionary.saveEntry(), which keeps them in the local overlay.
+ */
+
+const WordEditor = (function() {
+    // Form fields in display order; `breakdown` fields are nested in the entry,
+    // `list` fields are comma-separated in the form and arrays in the entry
+    const FIELDS = [
+        { name: 'translation', label: 'Translation', placeholder: '中文翻譯' },
+        { name: 'partOfSpeech', label: 'Part of speech', placeholder: 'phrasal verb' },
+        { name: 'prefix', label: 'Prefix', placeholder: 'un-', breakdown: true },
+        { name: 'prefixMeaning', label: 'Prefix meaning', placeholder: '不、相反', breakdown: true },
+        { name: 'root', label: 'Root', placeholder: 'port-', breakdown: true },
+        { name: 'rootMeaning', label: 'Root meaning', placeholder: '攜帶（拉丁語 portare）', breakdown: true },
+        { name: 'suffix', label: 'Suffix', placeholder: '-able', breakdown: true },
+        { name: 'suffixMeaning', label: 'Suffix meaning', placeholder: '可…的', breakdown: true },
+        { name: 'association', label: 'Association', placeholder: '聯想記憶' },
+        { name: 'family', label: 'Family', placeholder: 'Comma-separated, e.g. export, portable', list: true }
+    ];
+
+    /**
+     * Build the editor form
+     * @param {string} word - Word to add or edit
+     * @param {Object} options
+     * @param {Object} [options.initial] - Values for a new word, e.g. a guessed breakdown
+     * @param {Function} options.onSave - (word) => void, after the entry is saved
+     * @param {Function} options.onCancel - () => void
+     * @returns {HTMLFormElement}
+     */
+    function create(word, { initial, onSave, onCancel }) {
+        const existing = Dictionary.getEntry(word);
+        const values = toFormValues(existing || initial || {});
+
+        const form = document.createElement('form');
+        form.className = 'word-editor';
+
+        const title = document.createElement('h3');
+        title.textContent = existing ? `Edit "${word}"` : 'Add a word';
+        form.appendChild(title);
+
+        const wordInput = addField(form, { name: 'word', label: 'Word' }, word);
+        wordInput.required = true;
+        wordInput.readOnly = Boolean(existing);
+
+        FIELDS.forEach(field => addField(form, field, values[field.name] || ''));
+
+        const actions = document.createElement('div');
+        actions.className = 'word-editor-actions';
+
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'btn btn-primary btn-small';
+        save.textContent = 'Save';
+
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'btn btn-small';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', onCancel);
+
+        actions.append(save, cancel);
+
+        if (Dictionary.isEdited(word)) {
+            const revert = document.createElement('button');
+            revert.type = 'button';
+            revert.className = 'btn btn-small btn-outline';
+            revert.textContent = Dictionary.isShipped(word) ? 'Revert to original' : 'Delete my entry';
+            revert.addEventListener('click', async () => {
+                await Dictionary.revertEntry(word);
+                onSave(word);
+            });
+            actions.appendChild(revert);
+        }
+
+        const status = document.createElement('p');
+        status.className = 'word-editor-status';
+
+        form.append(actions, status);
+
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            const formValues = Object.fromEntries(new FormData(form));
+
+            save.disabled = true;
+            try {
+                const key = await Dictionary.saveEntry(formValues.word, toEntry(formValues, existing));
+                onSave(key);
+            } catch (error) {
+                status.textContent = error.message;
+                save.disabled = false;
+            }
+        });
+
+        return form;
+    }
+
+    /**
+     * Add a labelled text input
+     * @returns {HTMLInputElement}
+     */
+    function addField(form, { name, label, placeholder }, value) {
+        const row = document.createElement('label');
+        row.className = 'word-editor-field';
+
+        const text = document.createElement('span');
+        text.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = name;
+        input.value = value;
+        input.placeholder = placeholder || '';
+
+        row.append(text, input);
+        form.appendChild(row);
+        return input;
+    }
+
+    /**
+     * Flatten an entry into form values
+     */
+    function toFormValues(entry) {
+        const breakdown = entry.breakdown || {};
+        const values = {};
+        FIELDS.forEach(({ name, breakdown: nested, list }) => {
+            if (nested) {
+                values[name] = breakdown[name];
+            } else if (list) {
+                values[name] = (entry[name] || []).join(', ');
+            } else {
+                values[name] = entry[name];
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Turn form values into a words.json entry, leaving out empty fields
+     * @param {Object} values - Form values
+     * @param {Object|null} existing - Current entry; fields the form doesn't cover are kept
+     */
+    function toEntry(values, existing) {
+        const entry = { ...(existing || {}) };
+        const breakdown = {};
+
+        FIELDS.forEach(({ name, breakdown: nested, list }) => {
+            const text = (values[name] || '').trim();
+            const value = list ? text.split(',').map(w => w.trim()).filter(Boolean) : text;
+            const isEmpty = list ? value.length === 0 : !value;
+
+            if (nested) {
+                if (!isEmpty) breakdown[name] = value;
+            } else if (isEmpty) {
+                delete entry[name];
+            } else {
+                entry[name] = value;
+            }
+        });
+
+        if (Object.keys(breakdown).length > 0) {
+            entry.breakdown = breakdown;
+        } else {
+            delete entry.breakdown;
+        }
+
+        return entry;
+    }
+
+    // Public API
+    return {
+        create
+    };
+})();
@@ -0,0 +1,135 @@
+/**
+ * Word Store Module - Local dictionary edits kept in IndexedDB
+ *
+ * Records are { word, entry, updatedAt } where `entry` has the same shape as
+ * a words.json value. The shipped data is never modified; Dictionary merges
+ * these records over it.
+ */
+
+const WordStore = (function() {
+    const DB_NAME = 'shadowing-dictionary';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'entries';
+
+    let indexedDBImpl = typeof indexedDB !== 'undefined' ? indexedDB : null;
+    let dbPromise = null;
+
+    // Used when IndexedDB is unavailable (private mode, old browsers): edits last until reload
+    const memoryStore = new Map();
+
+    /**
+     * Swap the IndexedDB implementation (for testing)
+     * @param {Object} options
+     * @param {IDBFactory|null} options.indexedDB
+     */
+    function configure(options) {
+        if ('indexedDB' in options) {
+            indexedDBImpl = options.indexedDB;
+            dbPromise = null;
+        }
+    }
+
+    /**
+     * Check if edits survive a reload
+     */
+    function isPersistent() {
+        return indexedDBImpl !== null;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDb() {
+        if (!dbPromise) {
+            const request = indexedDBImpl.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'word' });
+            };
+            dbPromise = promisify(request);
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run one request against the entries store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     */
+    async function withStore(mode, makeRequest) {
+        const db = await openDb();
+        const transaction = db.transaction(STORE_NAME, mode);
+        return promisify(makeRequest(transaction.objectStore(STORE_NAME)));
+    }
+
+    /**
+     * Get all edited entries
+     * @returns {Promise<Array<{word, entry, updatedAt}>>}
+     */
+    async function getAll() {
+        if (!isPersistent()) {
+            return [...memoryStore.values()];
+        }
+        try {
+            return await withStore('readonly', store => store.getAll());
+        } catch (error) {
+            console.warn('WordStore: Could not read local edits', error);
+            return [...memoryStore.values()];
+        }
+    }
+
+    /**
+     * Save an entry
+     * @param {string} word - Dictionary key
+     * @param {Object} entry - words.json-style value
+     * @returns {Promise<Object>} The stored record
+     */
+    async function put(word, entry) {
+        const record = { word, entry, updatedAt: new Date().toISOString() };
+        memoryStore.set(word, record);
+
+        if (isPersistent()) {
+            try {
+                await withStore('readwrite', store => store.put(record));
+            } catch (error) {
+                console.warn('WordStore: Could not save edit', error);
+            }
+        }
+        return record;
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} word - Dictionary key
+     */
+    async function remove(word) {
+        memoryStore.delete(word);
+
+        if (isPersistent()) {
+            try {
+                await withStore('readwrite', store => store.delete(word));
+            } catch (error) {
+                console.warn('WordStore: Could not delete edit', error);
+            }
+        }
+    }
+
+    // Public API
+    return {
+        configure,
+        isPersistent,
+        getAll,
+        put,
+        remove
+    };
+})();
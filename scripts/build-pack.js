@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Build a sharded dictionary pack from a words.json file
+ *
+ * Usage: node scripts/build-pack.js <words.json> <out-dir> [--hash N] [--name NAME]
+ * Shards by first letter unless --hash N is given (N shards by key hash).
+ * Writes manifest.json, index.json and one file per shard; list the pack in
+ * data/packs.json as { "id", "manifest": "<out-dir>/manifest.json", "priority" }.
+ * Exits with 1 if any entry fails the schema check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DictionarySchema = require('../js/schema.js');
+const DictionaryPacks = require('../js/packs.js');
+const Lemmatizer = require('../js/lemmatizer.js');
+
+const args = process.argv.slice(2);
+const option = name => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args.splice(i, 2)[1];
+};
+const hashCount = option('--hash');
+const [input, outDir] = args;
+
+if (!input || !outDir) {
+    console.error('Usage: node scripts/build-pack.js <words.json> <out-dir> [--hash N] [--name NAME]');
+    process.exit(1);
+}
+
+const sharding = hashCount
+    ? { type: 'hash', count: parseInt(hashCount, 10) }
+    : { type: 'letter' };
+if (sharding.type === 'hash' && !(sharding.count > 0)) {
+    console.error('--hash needs a positive number of shards');
+    process.exit(1);
+}
+
+const name = option('--name') || path.basename(outDir);
+
+let data;
+try {
+    data = JSON.parse(fs.readFileSync(input, 'utf8'));
+} catch (error) {
+    console.error(`${input}: ${error.message}`);
+    process.exit(1);
+}
+
+const report = DictionarySchema.validate(data, { lemmatize: Lemmatizer.lemmatize });
+if (report.errors.length > 0) {
+    report.errors.forEach(({ word, message }) => console.error(`  error    ${word}: ${message}`));
+    console.error(`${input}: ${report.errors.length} errors, run scripts/validate-dictionary.js for details`);
+    process.exit(1);
+}
+
+const entries = report.valid;
+const shards = {};
+Object.keys(entries).sort().forEach(word => {
+    const id = DictionaryPacks.shardFor(word, sharding);
+    (shards[id] = shards[id] || {})[word] = entries[word];
+});
+
+const manifest = {
+    name,
+    version: new Date().toISOString(),
+    sharding,
+    entries: Object.keys(entries).length,
+    index: 'index.json',
+    shards: {}
+};
+
+fs.mkdirSync(outDir, { recursive: true });
+Object.keys(shards).sort().forEach(id => {
+    const file = `shard-${id}.json`;
+    manifest.shards[id] = file;
+    fs.writeFileSync(path.join(outDir, file), JSON.stringify(shards[id]));
+});
+fs.writeFileSync(path.join(outDir, 'index.json'), JSON.stringify(DictionaryPacks.buildIndex(entries)));
+fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+console.log(`${outDir}: ${manifest.entries} entries in ${Object.keys(shards).length} shards (${sharding.type})`);
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+/**
+ * Export words.json as a CSV/TSV spreadsheet
+ *
+ * Usage: node scripts/export-csv.js [words.json] [--tsv] > dictionary.csv
+ * Defaults to data/words.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DictionaryCsv = require('../js/csv.js');
+
+const args = process.argv.slice(2);
+const tsv = args.includes('--tsv');
+const [input = path.join(__dirname, '..', 'data', 'words.json')] = args.filter(arg => !arg.startsWith('--'));
+
+let data;
+try {
+    data = JSON.parse(fs.readFileSync(input, 'utf8'));
+} catch (error) {
+    console.error(`${input}: ${error.message}`);
+    process.exit(1);
+}
+
+process.stdout.write(DictionaryCsv.stringify(data, { delimiter: tsv ? '\t' : ',' }));
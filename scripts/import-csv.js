@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Import a CSV/TSV spreadsheet into words.json
+ *
+ * Usage: node scripts/import-csv.js <file.csv> [--into data/words.json] [--replace] [--write]
+ * Prints a preview (new, changed and unchanged words, line-numbered errors).
+ * Words that already exist are kept unless --replace is given. Nothing is
+ * written without --write. Exits with 1 if any row has errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DictionaryCsv = require('../js/csv.js');
+
+const args = process.argv.slice(2);
+const option = name => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args.splice(i, 2)[1];
+};
+const target = option('--into') || path.join(__dirname, '..', 'data', 'words.json');
+const replace = args.includes('--replace');
+const write = args.includes('--write');
+const [input] = args.filter(arg => !arg.startsWith('--'));
+
+if (!input) {
+    console.error('Usage: node scripts/import-csv.js <file.csv> [--into data/words.json] [--replace] [--write]');
+    process.exit(1);
+}
+
+let data;
+let text;
+try {
+    text = fs.readFileSync(input, 'utf8');
+    data = JSON.parse(fs.readFileSync(target, 'utf8'));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const report = DictionaryCsv.read(text, { delimiter: input.endsWith('.tsv') ? '\t' : undefined });
+const getEntry = word => Object.prototype.hasOwnProperty.call(data, word) ? data[word] : null;
+const items = DictionaryCsv.plan(report.rows, report.columns, getEntry);
+
+const lines = [
+    ...items.filter(item => item.status !== 'unchanged').map(({ line, word, status, changes }) => ({
+        line,
+        text: status === 'changed'
+            ? `${word}: changed (${changes.join(', ')})${replace ? '' : ', kept'}`
+            : `${word}: new`
+    })),
+    ...report.errors.map(({ line, message }) => ({ line, text: `error: ${message}` })),
+    ...report.warnings.map(({ line, message }) => ({ line, text: `warning: ${message}` }))
+];
+lines.sort((a, b) => a.line - b.line).forEach(({ line, text }) => console.log(`  line ${line}  ${text}`));
+
+const imported = items.filter(item => item.status === 'new' || (item.status === 'changed' && replace));
+const count = status => items.filter(item => item.status === status).length;
+console.log(`${input}: ${count('new')} new, ${count('changed')} changed, ${count('unchanged')} unchanged, ` +
+    `${report.errors.length} errors`);
+
+if (write && imported.length > 0) {
+    imported.forEach(({ word, entry }) => { data[word] = entry; });
+    // Keep string arrays on one line, as words.json is written by hand
+    const json = JSON.stringify(data, null, 2)
+        .replace(/\[\n\s+([^\]]*?)\n\s+\]/g, (match, items) => `[${items.split(/,\n\s+/).join(', ')}]`);
+    fs.writeFileSync(target, json + '\n');
+    console.log(`${target}: wrote ${imported.length} entries`);
+} else if (!write) {
+    console.log('Preview only, add --write to update the file');
+}
+
+process.exit(report.errors.length > 0 ? 1 : 0);
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Validate dictionary data against the entry schema
+ *
+ * Usage: node scripts/validate-dictionary.js [--errors-only] [file ...]
+ * Defaults to data/words.json. Exits with 1 if any entry has errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DictionarySchema = require('../js/schema.js');
+const Lemmatizer = require('../js/lemmatizer.js');
+
+const args = process.argv.slice(2);
+const errorsOnly = args.includes('--errors-only');
+const files = args.filter(arg => !arg.startsWith('--'));
+if (files.length === 0) {
+    files.push(path.join(__dirname, '..', 'data', 'words.json'));
+}
+
+let failed = false;
+
+files.forEach(file => {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        failed = true;
+        return;
+    }
+
+    const report = DictionarySchema.validate(data, { lemmatize: Lemmatizer.lemmatize });
+    const total = Object.keys(data || {}).length;
+    console.log(`${file}: ${total} entries, ${report.errors.length} errors, ${report.warnings.length} warnings`);
+
+    report.errors.forEach(({ word, message }) => console.log(`  error    ${word}: ${message}`));
+    if (!errorsOnly) {
+        report.warnings.forEach(({ word, message }) => console.log(`  warning  ${word}: ${message}`));
+    }
+
+    if (report.errors.length > 0) {
+        failed = true;
+    }
+});
+
+process.exit(failed ? 1 : 0);
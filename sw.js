@@ -0,0 +1,248 @@
+/**
+ * Service Worker - Offline use and background updates
+ *
+ * App files (APP_FILES) are precached and served from the cache, then
+ * refreshed in the background, so a change reaches the next visit without
+ * touching this file. New files only need adding to APP_FILES; the cache
+ * name follows the list.
+ * Everything under data/ (every shard of the packs in data/packs.json too)
+ * is precached and served the same way. When a fresh copy of a dictionary
+ * file (the pack list, a pack, manifest, index or shard) differs, open
+ * pages get a { type: 'dictionary-updated', url } message.
+ */
+
+const DATA_CACHE = 'shadowing-data';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/tts.js',
+    'js/recorder.js',
+    'js/sentences.js',
+    'js/subtitles.js',
+    'js/timing.js',
+    'js/recipes.js',
+    'js/chunks.js',
+    'js/recognizer.js',
+    'js/scoring.js',
+    'js/drills.js',
+    'js/dom.js',
+    'js/lemmatizer.js',
+    'js/word-store.js',
+    'js/schema.js',
+    'js/packs.js',
+    'js/csv.js',
+    'js/dictionary.js',
+    'js/morphology.js',
+    'js/notebook.js',
+    'js/voice-settings.js',
+    'js/notebook-view.js',
+    'js/practice-log.js',
+    'js/progress-view.js',
+    'js/library.js',
+    'js/library-view.js',
+    'js/vocabulary.js',
+    'js/analysis-view.js',
+    'js/word-editor.js',
+    'js/import-view.js',
+    'js/search-box.js',
+    'js/offline.js',
+    'js/app.js'
+];
+
+const APP_CACHE = `shadowing-app-${hash(APP_FILES.join('\n'))}`;
+
+// Data files besides the dictionary, refreshed without the update notice
+const DATA_FILES = ['data/affixes.json', 'data/lessons.json', 'data/levels.json'];
+
+/**
+ * Short hash of a string (32-bit FNV-1a), for the cache name
+ */
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
+/**
+ * Fetch JSON, throwing on HTTP errors
+ */
+async function fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Every dictionary file to keep offline: the pack list, whole-file packs,
+ * and the manifest, index and shards of sharded packs
+ * @returns {Promise<string[]>}
+ */
+async function dictionaryFiles() {
+    const files = ['data/packs.json'];
+
+    let packs = [{ file: 'data/words.json' }];
+    try {
+        packs = (await fetchJson('data/packs.json')).packs;
+    } catch (error) {
+        console.warn('Service worker: No pack list, caching data/words.json', error);
+    }
+
+    for (const pack of packs) {
+        if (pack.file) {
+            files.push(pack.file);
+        } else if (pack.manifest) {
+            const manifest = await fetchJson(pack.manifest);
+            const baseUrl = pack.manifest.replace(/[^/]*$/, '');
+            files.push(pack.manifest, baseUrl + manifest.index);
+            Object.values(manifest.shards).forEach(file => files.push(baseUrl + file));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Check if a data/ URL is a dictionary file rather than one of DATA_FILES
+ */
+function isDictionaryFile(url) {
+    const path = url.split('?')[0];
+    return !DATA_FILES.some(file => new URL(file, self.registration.scope).href === path);
+}
+
+/**
+ * Cache data files that aren't cached yet
+ */
+async function cacheMissingDataFiles() {
+    const cache = await caches.open(DATA_CACHE);
+    const files = [...DATA_FILES, ...await dictionaryFiles()];
+    const cached = await Promise.all(files.map(url => cache.match(url)));
+    await cache.addAll(files.filter((url, i) => !cached[i]));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const appCache = await caches.open(APP_CACHE);
+        await appCache.addAll(APP_FILES.map(url => new Request(url, { cache: 'reload' })));
+
+        const dataCache = await caches.open(DATA_CACHE);
+        const dataFiles = [...DATA_FILES, ...await dictionaryFiles()];
+        await dataCache.addAll(dataFiles.map(url => new Request(url, { cache: 'reload' })));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        // Drop app files of earlier versions; dictionary data is kept
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('shadowing-app-') && name !== APP_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.href.startsWith(new URL('data/', self.registration.scope).href)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(cacheFirst(event));
+    }
+});
+
+/**
+ * App files: cache first (refreshed in the background for the next visit),
+ * network for anything not precached; page loads fall back to the cached
+ * index.html when offline
+ */
+async function cacheFirst(event) {
+    const { request } = event;
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+        event.waitUntil(refreshAppFile(request).catch(() => {
+            // Offline: keep the cached copy
+        }));
+        return cached;
+    }
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const page = await caches.match('index.html');
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Store a fresh copy of a precached app file
+ */
+async function refreshAppFile(request) {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) {
+        const cache = await caches.open(APP_CACHE);
+        await cache.put(request, response);
+    }
+}
+
+/**
+ * Data files: answer from the cache, refresh it in the background and
+ * tell open pages when a dictionary file changed
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    // The page may read `cached` before the network answers
+    const previous = cached && cached.clone();
+
+    const refresh = (async () => {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (!response.ok) return response;
+
+        const changed = previous && await previous.text() !== await response.clone().text();
+        await cache.put(request, response.clone());
+
+        if (changed && isDictionaryFile(request.url)) {
+            notifyClients({ type: 'dictionary-updated', url: request.url });
+            // New packs or shards listed by the update
+            await cacheMissingDataFiles();
+        }
+        return response;
+    })();
+
+    if (!cached) return refresh;
+
+    event.waitUntil(refresh.catch(() => {
+        // Offline: the cached copy is all there is
+    }));
+    return cached;
+}
+
+/**
+ * Post a message to every open page
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,47 @@
+/**
+ * Auto-analysis Check - Morphology.analyze() guesses for words with no entry
+ *
+ * The dictionary is left empty, so every guess comes from data/affixes.json
+ * alone. Open tests/morphology.html from a local server; the page title
+ * ends in PASS or FAIL.
+ */
+
+(async function() {
+    const results = document.getElementById('results');
+    let failures = 0;
+
+    /**
+     * Compare a word's guessed parts with the expected ones (null for no guess)
+     */
+    function check(word, expected) {
+        const result = Morphology.analyze(word);
+        const actual = result
+            ? ['prefix', 'root', 'suffix'].map(part => result.breakdown[part]).filter(Boolean).join(' + ')
+            : null;
+        const passed = actual === expected;
+        if (!passed) failures++;
+
+        const line = passed
+            ? `PASS ${word} -> ${actual}`
+            : `FAIL ${word}: got ${actual}, expected ${expected}`;
+        results.appendChild(Dom.el('li', {}, line));
+        console.log(line);
+    }
+
+    await Morphology.load();
+
+    // Common words that only look like a stem plus an affix
+    ['water', 'better', 'children', 'many', 'manual', 'singer'].forEach(word => check(word, null));
+
+    // Two affixes around an unknown stem, or a root from the table
+    check('unbreakable', 'un- + break + -able');
+    check('portable', 'port- + -able');
+    check('inspection', 'in- + spect- + -ion');
+    check('transport', 'trans- + port-');
+
+    const verdict = failures === 0 ? 'PASS' : 'FAIL';
+    document.getElementById('summary').textContent = failures === 0
+        ? 'Every check passed.'
+        : `${failures} check${failures === 1 ? '' : 's'} failed.`;
+    document.title = `Auto-analysis check: ${verdict}`;
+})();
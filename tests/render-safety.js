@@ -0,0 +1,115 @@
+/**
+ * Render Safety Check - Dictionary data must never become markup
+ *
+ * Loads tests/data/malicious-words.json (through tests/data/packs.json) and
+ * renders every entry, a fake lookup result and the not-found card with the
+ * same functions the app uses. Each payload would create an element or an
+ * event handler, or set window.renderSafetyRan, if it were parsed as HTML.
+ * Open tests/render-safety.html from a local server; the page title ends
+ * in PASS or FAIL.
+ */
+
+(async function() {
+    // Payloads in the fixture, also used as a searched word and lookup fields
+    const PAYLOADS = [
+        '<img src=x onerror="window.renderSafetyRan = true">',
+        '<script>window.renderSafetyRan = true</script>',
+        '"><svg onload="window.renderSafetyRan = true">'
+    ];
+
+    // The only attributes the renderers set (className, title, dataset)
+    const SAFE_ATTRIBUTE = /^(class|title|data-[a-z-]+)$/;
+
+    // Tags the renderers use; anything else came from the data
+    const SAFE_TAGS = new Set(['DIV', 'SPAN', 'P', 'BUTTON']);
+
+    const results = document.getElementById('results');
+    const rendered = document.getElementById('rendered');
+    let failures = 0;
+
+    /**
+     * Report one check
+     */
+    function report(name, problems) {
+        if (problems.length > 0) failures++;
+        const line = problems.length === 0 ? `PASS ${name}` : `FAIL ${name}: ${problems.join('; ')}`;
+        results.appendChild(Dom.el('li', {}, line));
+        console.log(line);
+    }
+
+    /**
+     * Render a node and list every element or attribute it shouldn't have
+     */
+    function check(name, node) {
+        rendered.appendChild(node);
+
+        const problems = [];
+        [node, ...node.querySelectorAll('*')].forEach(element => {
+            if (!SAFE_TAGS.has(element.tagName)) {
+                problems.push(`<${element.tagName.toLowerCase()}> element`);
+            }
+            [...element.attributes].forEach(({ name: attribute }) => {
+                if (!SAFE_ATTRIBUTE.test(attribute)) {
+                    problems.push(`"${attribute}" attribute on <${element.tagName.toLowerCase()}>`);
+                }
+            });
+        });
+        report(name, problems);
+    }
+
+    await Dictionary.load();
+    const { failedPacks, usingFallback } = Dictionary.getLoadStatus();
+    report('fixture loaded', usingFallback || failedPacks.length > 0 ? ['tests/data/malicious-words.json did not load'] : []);
+
+    // Cards with family chips, morpheme chips and phrase components
+    const words = ['image', 'script', 'svg onload'];
+    await Dictionary.preload(words);
+    words.forEach(word => {
+        const wordInfo = Dictionary.lookup(word);
+        if (!wordInfo) {
+            report(`renderWordInfo("${word}")`, ['no entry (skipped by the schema check?)']);
+            return;
+        }
+        check(`renderWordInfo("${word}")`, Dictionary.renderWordInfo(wordInfo));
+    });
+
+    // Fields that come from the lemmatizer or an auto-analysed word
+    PAYLOADS.forEach((payload, i) => {
+        check(`renderWordInfo(lookup fields ${i + 1})`, Dictionary.renderWordInfo({
+            word: payload,
+            originalWord: payload,
+            inflection: payload,
+            partOfSpeech: payload,
+            translation: payload,
+            family: [payload]
+        }));
+    });
+
+    // A searched word that isn't in the dictionary
+    PAYLOADS.forEach((payload, i) => {
+        check(`renderNotFound(payload ${i + 1})`, Dictionary.renderNotFound(payload));
+    });
+
+    // Morpheme panels listing the entries that share a prefix, root or suffix
+    words.forEach(word => {
+        const { breakdown } = Dictionary.getEntry(word) || {};
+        ['prefix', 'root', 'suffix'].forEach(type => {
+            if (breakdown && breakdown[type]) {
+                check(`renderMorpheme(${type} of "${word}")`, Dictionary.renderMorpheme(type, breakdown[type]));
+            }
+        });
+    });
+    PAYLOADS.forEach((payload, i) => {
+        check(`renderMorpheme(payload ${i + 1})`, Dictionary.renderMorpheme('root', payload));
+    });
+
+    // Handlers that slipped through would have run by now
+    await new Promise(resolve => setTimeout(resolve, 200));
+    report('no payload ran', window.renderSafetyRan ? ['window.renderSafetyRan was set'] : []);
+
+    const verdict = failures === 0 ? 'PASS' : 'FAIL';
+    document.getElementById('summary').textContent = failures === 0
+        ? 'Every check passed.'
+        : `${failures} check${failures === 1 ? '' : 's'} failed.`;
+    document.title = `Render safety check: ${verdict}`;
+})();
@@ -0,0 +1,79 @@
+/**
+ * Subtitle Check - Cues merge into whole sentences
+ *
+ * Feeds small SRT files through Subtitles.load() and compares the sentence
+ * texts. Open tests/subtitles.html in a browser; the page title ends in
+ * PASS or FAIL.
+ */
+
+(function() {
+    const results = document.getElementById('results');
+    let failures = 0;
+
+    /**
+     * Build an SRT file with one cue per text, two seconds each
+     */
+    function srt(...texts) {
+        return texts.map((text, i) => {
+            const time = seconds => `00:00:${String(seconds).padStart(2, '0')},000`;
+            return `${i + 1}\n${time(i * 2)} --> ${time(i * 2 + 2)}\n${text}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Compare the sentences of a file with the expected texts
+     */
+    function check(name, file, expected) {
+        const actual = Subtitles.load(file).map(sentence => sentence.text);
+        const passed = JSON.stringify(actual) === JSON.stringify(expected);
+        if (!passed) failures++;
+
+        const line = passed
+            ? `PASS ${name}`
+            : `FAIL ${name}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`;
+        results.appendChild(Dom.el('li', {}, line));
+        console.log(line);
+    }
+
+    check('sentence split over two cues',
+        srt('I want to build', 'something useful.', 'Me too.'),
+        ['I want to build something useful.', 'Me too.']);
+
+    check('cue ending in a title',
+        srt('Hello there, Mr.', 'Smith. How are you?'),
+        ['Hello there, Mr. Smith.', 'How are you?']);
+
+    check('cue ending in a dotted acronym',
+        srt('She moved to the U.S.', 'economy desk last year.'),
+        ['She moved to the U.S. economy desk last year.']);
+
+    check('cue ending in an initial',
+        srt('The book is by J.', 'K. Rowling.'),
+        ['The book is by J. K. Rowling.']);
+
+    check('"No." before a number',
+        srt('Take the bus No.', '5 to get there.'),
+        ['Take the bus No. 5 to get there.']);
+
+    check('"no." as a word',
+        srt('The answer is no.', 'We will leave.'),
+        ['The answer is no.', 'We will leave.']);
+
+    check('two speakers in one cue',
+        srt('- Really?\n- Yes!', '- Are you sure? - No!', '>> Hi there. >> JOHN: Hello.'),
+        ['Really?', 'Yes!', 'Are you sure?', 'No!', 'Hi there.', 'Hello.']);
+
+    check('speaker labels',
+        srt('JOHN: Hi there.', 'DR. SMITH: Sit down.', 'Speaker 2: Thanks.'),
+        ['Hi there.', 'Sit down.', 'Thanks.']);
+
+    check('"I:" is not a speaker label',
+        srt('I: the first reason.'),
+        ['I: the first reason.']);
+
+    const verdict = failures === 0 ? 'PASS' : 'FAIL';
+    document.getElementById('summary').textContent = failures === 0
+        ? 'Every check passed.'
+        : `${failures} check${failures === 1 ? '' : 's'} failed.`;
+    document.title = `Subtitle check: ${verdict}`;
+})();